@@ -0,0 +1,8 @@
+// bin/load-env.js
+//
+// Loads .env.local (as Next.js does) and .env before anything else is imported:
+// several lib modules read their settings from process.env when they load.
+import dotenv from "dotenv";
+
+dotenv.config({ path: ".env.local" });
+dotenv.config();
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+// bin/transcribe.js
+//
+// Command-line interface to the same pipeline the API routes run:
+//
+//   transcribe folder [--pipeline <id>] [--limit <n>] [--notify]
+//                                                           process a pipeline's Drive input folder
+//   transcribe file <driveFileId> [--pipeline <id>]         process a single Drive file
+//   transcribe local <dir> [--out <dir>] [--format md|txt|docx] [--language <code>] [--model <name>]
+//                    [--prompt <text>] [--glossary <file>] [--summary] [--translate <codes>] [--redact] [--force]
+//                                                           transcribe local recordings, without Google
+//   transcribe notify-test [--pipeline <id>]                send a sample notification to the pipeline's targets
+//   transcribe google-auth [--port <n>]                     authorize a Google user and print the refresh token
+//
+// Every command accepts --json (results as JSON on stdout) and --quiet (no log output at all).
+// Progress is logged to stderr, so stdout only carries the results.
+import "./load-env.js";
+import { parseArgs } from "util";
+import { readdir, readFile, writeFile, stat, mkdir, access } from "fs/promises";
+import path from "path";
+import http from "http";
+import { randomUUID } from "crypto";
+import { getPipeline, getPipelines, renderDocTitle } from "../lib/pipeline-config.js";
+import {
+  findAudioFiles,
+  getAudioFile,
+  processFile,
+  transcribeRecording,
+  buildDocBlocks,
+  reserveTranscriptionBudget,
+  budgetExceededResult,
+} from "../lib/pipeline.js";
+import { parseGlossary } from "../lib/glossary.js";
+import { redactTranscript, describeRedaction } from "../lib/redaction.js";
+import { renderBlocks } from "../lib/export.js";
+import { MEDIA_EXTENSIONS } from "../lib/media.js";
+import { notifyRunFinished, getNotifyTargets } from "../lib/notify.js";
+import { createOAuthClient, getScopes } from "../lib/google.js";
+import { log, withLogContext } from "../lib/log.js";
+import { saveRun } from "../lib/runs.js";
+import { getBudgetUsage, settleBudget, useLocalUsageStore } from "../lib/budget.js";
+
+const USAGE = `Usage:
+  transcribe folder [--pipeline <id>] [--limit <n>] [--notify]
+  transcribe file <driveFileId> [--pipeline <id>]
+  transcribe local <dir> [--out <dir>] [--format md|txt|docx] [--language <code>] [--model <name>]
+                   [--prompt <text>] [--glossary <file>] [--summary] [--translate <codes>] [--redact] [--force]
+  transcribe notify-test [--pipeline <id>]
+  transcribe google-auth [--port <n>]
+
+Options for every command:
+  --json    print results as JSON
+  --quiet   don't log anything, warnings and errors included
+  --help    show this help`;
+
+const OPTIONS = {
+  pipeline: { type: "string" },
+  limit: { type: "string" },
+  out: { type: "string" },
+  format: { type: "string", default: "md" },
+  language: { type: "string" },
+  model: { type: "string" },
+  prompt: { type: "string" },
+  glossary: { type: "string" },
+  summary: { type: "boolean", default: false },
+  translate: { type: "string" },
+  redact: { type: "boolean", default: false },
+  force: { type: "boolean", default: false },
+  notify: { type: "boolean", default: false },
+  port: { type: "string", default: "0" },
+  json: { type: "boolean", default: false },
+  quiet: { type: "boolean", default: false },
+  help: { type: "boolean", default: false },
+};
+
+class UsageError extends Error {}
+
+// lib/log.js writes info lines with console.log, warnings with console.warn and errors with
+// console.error. Info goes to stderr with the rest, so stdout only carries the results.
+// --quiet turns the log off entirely; failed files still show up in the results, and the
+// CLI's own messages (usage, a fatal error) are printed with console.error directly.
+function redirectLogs(quiet) {
+  console.log = (...args) => console.error(...args);
+  console.info = console.log;
+  if (quiet) process.env.LOG_LEVEL = "silent";
+}
+
+function resolvePipeline(id) {
+  if (!id) return getPipelines()[0];
+  const pipeline = getPipeline(id);
+  if (!pipeline) {
+    throw new UsageError(`Unknown pipeline "${id}". Configured: ${getPipelines().map((p) => p.id).join(", ")}`);
+  }
+  return pipeline;
+}
+
+// ======= DRIVE COMMANDS =======
+// Runs fn as one run: its log lines carry the run ID, and its summary goes to the run
+// history like a worker run, so GET /api/stats covers command line runs too
+function recordRun(pipeline, fn) {
+  const runId = randomUUID();
+  const startedAt = new Date().toISOString();
+  return withLogContext({ runId }, async () => {
+    const results = await fn();
+    if (results.length) await saveRun({ id: runId, pipelineId: pipeline.id, source: "cli", startedAt, results });
+    return results;
+  });
+}
+
+async function runFolder(values) {
+  const pipeline = resolvePipeline(values.pipeline);
+  const { files } = await findAudioFiles(pipeline.inputFolderId, { recursive: pipeline.recursive });
+  const limit = values.limit ? Number(values.limit) : files.length;
+  if (!Number.isInteger(limit) || limit < 1) throw new UsageError("--limit must be a positive number");
+
+  // No time limit here, so files are simply processed one after another
+  const results = await recordRun(pipeline, async () => {
+    const processed = [];
+    for (const file of files.slice(0, limit)) {
+      processed.push(await processFile(file, pipeline));
+    }
+    return processed;
+  });
+  const report = { command: "folder", pipeline: pipeline.id, found: files.length, results, usage: await getBudgetUsage() };
+  if (values.notify && results.length) {
+    report.notifications = await notifyRunFinished({ pipeline, results });
+  }
+  return report;
+}
+
+async function runFile(values, fileId) {
+  if (!fileId) throw new UsageError("Missing the Drive file ID");
+  const pipeline = resolvePipeline(values.pipeline);
+  const file = await getAudioFile(fileId);
+  const results = await recordRun(pipeline, async () => [await processFile(file, pipeline)]);
+  return { command: "file", pipeline: pipeline.id, results, usage: await getBudgetUsage() };
+}
+
+// ======= NOTIFICATIONS =======
+// Sends a made-up run to the configured targets, e.g. a local SMTP or HTTP sink
+async function runNotifyTest(values) {
+  const pipeline = resolvePipeline(values.pipeline);
+  if (!getNotifyTargets(pipeline).length) {
+    throw new UsageError(`No notification targets for pipeline "${pipeline.id}". Set NOTIFY_TARGETS or "notify".`);
+  }
+  const notifications = await notifyRunFinished({
+    pipeline,
+    jobId: "notify-test",
+    results: [
+      { fileId: "test-file-1", fileName: "weekly-sync.m4a", status: "success", docUrl: "https://docs.google.com/document/d/test/edit" },
+      { fileId: "test-file-2", fileName: "client-call.mp3", status: "error", step: "Step 2: Transcribing audio", error: "Test failure" },
+    ],
+  });
+  return { command: "notify-test", pipeline: pipeline.id, results: [], notifications };
+}
+
+// ======= GOOGLE AUTHORIZATION =======
+const AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Waits on a loopback address for Google to redirect back with the authorization code
+function waitForAuthCode(server) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("No authorization within 5 minutes")), AUTH_TIMEOUT_MS);
+    server.on("request", (req, res) => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const code = url.searchParams.get("code");
+      const error = url.searchParams.get("error");
+      if (!code && !error) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(code ? "Authorized. You can close this tab and go back to the terminal." : `Authorization failed: ${error}`);
+      clearTimeout(timer);
+      if (code) resolve(code);
+      else reject(new Error(`Google returned "${error}"`));
+    });
+  });
+}
+
+// One-time OAuth consent for GOOGLE_AUTH_MODE=oauth: open the printed URL, sign in as the user
+// who should own the Docs, and store the refresh token in GOOGLE_OAUTH_REFRESH_TOKEN
+async function runGoogleAuth(values) {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0) throw new UsageError("--port must be a port number");
+
+  const server = http.createServer();
+  await new Promise((resolve, reject) => server.once("error", reject).listen(port, "127.0.0.1", resolve));
+  try {
+    const redirectUri = `http://127.0.0.1:${server.address().port}`;
+    const client = createOAuthClient(redirectUri);
+    const authUrl = client.generateAuthUrl({
+      // offline + consent: Google only hands out a refresh token on a fresh consent
+      access_type: "offline",
+      prompt: "consent",
+      scope: getScopes(),
+    });
+    console.error(`Open this URL in a browser and sign in as the user who should own the Docs:\n\n${authUrl}\n`);
+
+    const code = await waitForAuthCode(server);
+    const { tokens } = await client.getToken(code);
+    if (!tokens.refresh_token) {
+      throw new Error("Google returned no refresh token. Remove the app's access at https://myaccount.google.com/permissions and try again.");
+    }
+    return { command: "google-auth", results: [], refreshToken: tokens.refresh_token, scopes: tokens.scope };
+  } finally {
+    server.close();
+  }
+}
+
+// ======= LOCAL COMMAND =======
+const LOCAL_FORMATS = ["md", "txt", "docx"];
+
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function loadLocalGlossary(filePath) {
+  if (!filePath) return null;
+  const content = await readFile(filePath, "utf8");
+  const entries = parseGlossary(content, filePath.endsWith(".csv") ? "csv" : "text");
+  return { id: filePath, name: path.basename(filePath), entries };
+}
+
+async function runLocal(values, dir) {
+  if (!dir) throw new UsageError("Missing the directory with recordings");
+  if (!LOCAL_FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${LOCAL_FORMATS.join(", ")}`);
+  }
+
+  const inputDir = path.resolve(dir);
+  const outputDir = path.resolve(values.out || inputDir);
+  await mkdir(outputDir, { recursive: true });
+
+  // Only the settings that matter without Drive; summaries follow --summary, not SUMMARY_ENABLED.
+  // Translations go into the same file, after the transcript.
+  const pipeline = {
+    id: "local",
+    name: "local",
+    language: values.language || process.env.TRANSCRIPTION_LANGUAGE || null,
+    model: values.model || null,
+    prompt: values.prompt || process.env.TRANSCRIPTION_PROMPT || null,
+    docTitleTemplate: "{name} - Transcript",
+    summary: values.summary,
+    translations: values.translate ? values.translate.split(",").map((code) => code.trim()).filter(Boolean) : [],
+    translationOutput: "section",
+    translationMethod: process.env.TRANSLATION_METHOD || "text",
+  };
+  const glossary = await loadLocalGlossary(values.glossary);
+  // Budget usage in the local files, not in a Drive job store
+  useLocalUsageStore();
+
+  const names = (await readdir(inputDir))
+    .filter((name) => MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  const results = [];
+  for (const name of names) {
+    const inputPath = path.join(inputDir, name);
+    const outputPath = path.join(outputDir, `${path.parse(name).name}.${values.format}`);
+
+    if (!values.force && (await exists(outputPath))) {
+      results.push({ fileName: name, status: "skipped", output: outputPath });
+      continue;
+    }
+
+    // Log lines of this recording carry its name
+    await withLogContext({ fileName: name }, async () => {
+      const startedAt = Date.now();
+      try {
+        log.info(`Processing: ${name}`);
+        const { mtime } = await stat(inputPath);
+        const file = { name, createdTime: mtime.toISOString() };
+
+        // Local recordings count against the same budget caps, in usage files of their own
+        const buffer = await readFile(inputPath);
+        const budget = await reserveTranscriptionBudget(buffer, name, pipeline);
+        if (!budget.allowed) {
+          log.warn(`Budget exceeded, skipping ${name}: ${budget.exceeded.join(", ")}`);
+          results.push(budgetExceededResult({ name }, budget, {}, startedAt));
+          return;
+        }
+
+        const sent = [];
+        let transcript;
+        try {
+          transcript = await transcribeRecording(buffer, name, pipeline, { glossary, usage: sent });
+        } finally {
+          await settleBudget(budget.charge, sent);
+        }
+        // The recordings are right here, so no unredacted copy is written
+        if (values.redact) ({ transcript } = await redactTranscript(transcript, pipeline));
+        transcript.processingSeconds = Math.round((Date.now() - startedAt) / 1000);
+
+        const title = renderDocTitle(pipeline, file);
+        await writeFile(outputPath, renderBlocks(buildDocBlocks(title, file, transcript, pipeline), values.format));
+        log.info(`✓ Completed: ${name}`);
+
+        results.push({
+          fileName: name,
+          status: "success",
+          output: outputPath,
+          duration: transcript.duration,
+          language: transcript.language,
+          corrections: transcript.corrections.length ? transcript.corrections : undefined,
+          translations: transcript.translations?.map((translation) => translation.language),
+          redaction: transcript.redaction,
+          translationErrors: transcript.translationErrors?.length ? transcript.translationErrors : undefined,
+        });
+      } catch (error) {
+        log.error(`Error processing ${name}`, error);
+        results.push({
+          fileName: name,
+          status: "error",
+          error: error.message,
+          step: error.stepLabel,
+        });
+      }
+    });
+  }
+  return { command: "local", input: inputDir, output: outputDir, results, usage: await getBudgetUsage() };
+}
+
+// ======= OUTPUT =======
+function printHuman(report) {
+  const lines = [];
+  for (const result of report.results) {
+    if (result.status === "success") {
+      lines.push(`✓ ${result.fileName}  ${result.docUrl || result.output}`);
+      for (const { from, to, count } of result.corrections || []) {
+        lines.push(`    corrected "${from}" -> "${to}" (${count}x)`);
+      }
+      if (result.redaction) lines.push(`    redacted: ${describeRedaction(result.redaction)}`);
+      for (const translation of result.translations || []) {
+        lines.push(typeof translation === "string"
+          ? `    translated into ${translation}`
+          : `    ${translation.name}: ${translation.url}`);
+      }
+      for (const { language, error } of result.translationErrors || []) {
+        lines.push(`    translation into ${language} failed: ${error}`);
+      }
+    } else if (result.status === "skipped") {
+      lines.push(`- ${result.fileName}  skipped, ${result.output} exists (use --force)`);
+    } else if (result.status === "budget_exceeded") {
+      lines.push(`- ${result.fileName}  ${result.error}`);
+    } else {
+      lines.push(`✗ ${result.fileName}  ${result.step ? `${result.step}: ` : ""}${result.error}`);
+      if (result.quarantined) lines.push(`    moved to the failed folder, note: ${result.errorNoteUrl}`);
+    }
+  }
+
+  for (const delivery of report.notifications || []) {
+    lines.push(delivery.status === "sent"
+      ? `✉ ${delivery.target} (${delivery.type}) notified`
+      : `✗ ${delivery.target} (${delivery.type}) not notified after ${delivery.attempts} attempt(s): ${delivery.error}`);
+  }
+
+  if (report.refreshToken) {
+    lines.push(`Add this to .env.local (or your deployment's environment):`);
+    lines.push(`GOOGLE_AUTH_MODE=oauth`);
+    lines.push(`GOOGLE_OAUTH_REFRESH_TOKEN=${report.refreshToken}`);
+  }
+
+  if (report.command !== "notify-test" && report.command !== "google-auth") {
+    const count = (status) => report.results.filter((result) => result.status === status).length;
+    if (!report.results.length) lines.push("No audio files found.");
+    lines.push(
+      `${count("success")} processed, ${count("error")} failed` +
+      `${count("skipped") ? `, ${count("skipped")} skipped` : ""}` +
+      `${count("budget_exceeded") ? `, ${count("budget_exceeded")} over budget` : ""}`
+    );
+  }
+  if (report.usage?.daily) {
+    const { daily, monthly } = report.usage;
+    const cap = (value, limit, unit) => `${value}${limit !== null ? `/${limit}` : ""} ${unit}`;
+    lines.push(
+      `Usage today: ${cap(daily.minutes, daily.minuteCap, "min")}, ${cap(daily.spend, daily.spendCap, "USD")}; ` +
+      `this month: ${cap(monthly.minutes, monthly.minuteCap, "min")}, ${cap(monthly.spend, monthly.spendCap, "USD")}`
+    );
+  }
+  process.stdout.write(lines.join("\n") + "\n");
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const [command, target] = positionals;
+
+  if (values.help || !command) {
+    console.error(USAGE);
+    return values.help ? 0 : 2;
+  }
+  redirectLogs(values.quiet);
+  // Readable log lines in a terminal, unless LOG_FORMAT asks for JSON
+  process.env.LOG_FORMAT = process.env.LOG_FORMAT || "pretty";
+
+  const commands = { folder: runFolder, file: runFile, local: runLocal, "notify-test": runNotifyTest, "google-auth": runGoogleAuth };
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  let report;
+  try {
+    report = await commands[command](values, target);
+  } catch (error) {
+    if (values.json) {
+      process.stdout.write(JSON.stringify({ command, error: error.message }, null, 2) + "\n");
+    } else {
+      console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    }
+    return error instanceof UsageError ? 2 : 1;
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  } else {
+    printHuman(report);
+  }
+  const failed = [...report.results, ...(report.notifications || [])].some(
+    (result) => result.status === "error" || result.status === "failed"
+  );
+  return failed ? 1 : 0;
+}
+
+process.exitCode = await main();
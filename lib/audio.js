@@ -0,0 +1,116 @@
+// lib/audio.js
+import { spawn } from "child_process";
+import { mkdtemp, rm, writeFile, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+// ffmpeg/ffprobe are looked up on the PATH unless an explicit binary is configured
+// (e.g. a static build bundled with the deployment)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    } catch (spawnError) {
+      reject(spawnError);
+      return;
+    }
+
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+
+    child.on("error", (error) => {
+      if (error.code === "ENOENT") {
+        reject(new Error(
+          `${command} was not found. Install ffmpeg or set FFMPEG_PATH / FFPROBE_PATH ` +
+          `to the location of the binaries.`
+        ));
+        return;
+      }
+      reject(error);
+    });
+
+    child.on("close", (code) => {
+      if (code !== 0) {
+        const output = Buffer.concat(stderr).toString().trim().split("\n").slice(-5).join("\n");
+        reject(new Error(`${command} exited with code ${code}: ${output}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout).toString());
+    });
+  });
+}
+
+// Creates a scratch directory, passes it to fn and always cleans it up afterwards
+export async function withTempDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "transcription-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+export async function writeTempAudio(dir, audioBuffer, fileName) {
+  const ext = path.extname(fileName || "") || ".bin";
+  const filePath = path.join(dir, `input${ext}`);
+  await writeFile(filePath, audioBuffer);
+  return filePath;
+}
+
+// Returns the duration of a media file in seconds
+export async function probeDuration(filePath) {
+  const output = await runCommand(FFPROBE_PATH, [
+    "-v", "error",
+    "-show_entries", "format=duration",
+    "-of", "default=noprint_wrappers=1:nokey=1",
+    filePath,
+  ]);
+
+  const duration = parseFloat(output.trim());
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error(`Could not determine audio duration for ${path.basename(filePath)}`);
+  }
+  return duration;
+}
+
+// Lists the streams of a media file: [{ codec_type, codec_name, disposition }]
+export async function probeStreams(filePath) {
+  const output = await runCommand(FFPROBE_PATH, [
+    "-v", "error",
+    "-show_entries", "stream=codec_type,codec_name:stream_disposition=attached_pic",
+    "-of", "json",
+    filePath,
+  ]);
+  return JSON.parse(output).streams || [];
+}
+
+// Mono 16 kHz MP3 is what Whisper works with internally, and at 64 kbps
+// a 10 minute chunk stays around 5 MB - far below the upload limit.
+// -vn drops any video (or cover art) stream.
+const MP3_OUTPUT_ARGS = ["-vn", "-ac", "1", "-ar", "16000", "-c:a", "libmp3lame", "-b:a", "64k"];
+
+// Converts the whole audio track of the input to MP3
+export async function encodeMp3(inputPath, outputPath) {
+  await runCommand(FFMPEG_PATH, ["-v", "error", "-y", "-i", inputPath, ...MP3_OUTPUT_ARGS, outputPath]);
+  return readFile(outputPath);
+}
+
+// Cuts [start, start + duration) out of the input as an MP3
+export async function extractChunk(inputPath, start, duration, outputPath) {
+  await runCommand(FFMPEG_PATH, [
+    "-v", "error",
+    "-y",
+    "-ss", start.toFixed(3),
+    "-t", duration.toFixed(3),
+    "-i", inputPath,
+    ...MP3_OUTPUT_ARGS,
+    outputPath,
+  ]);
+  return readFile(outputPath);
+}
@@ -0,0 +1,176 @@
+// lib/auth.js
+//
+// Authentication and CORS for the API routes. A request is accepted when it carries one of:
+//   - Authorization: Bearer <token>, with a token from API_TOKENS (full access)
+//     or API_READ_TOKENS (read-only)
+//   - Authorization: Bearer <CRON_SECRET>, as sent by Vercel cron jobs (full access)
+//   - X-Timestamp + X-Signature headers, an HMAC-SHA256 of the request signed with
+//     API_HMAC_SECRET (full access), see signRequest
+// Failures are answered with a structured 401 (no or invalid credentials) or
+// 403 (valid credentials that are not allowed to do this).
+import { createHmac, timingSafeEqual } from "crypto";
+import { log } from "./log.js";
+
+// Signed requests older (or newer) than this are rejected, so captured requests can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function splitList(value) {
+  return (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+function getConfig() {
+  return {
+    tokens: splitList(process.env.API_TOKENS),
+    readTokens: splitList(process.env.API_READ_TOKENS),
+    cronSecret: process.env.CRON_SECRET || process.env.VERCEL_CRON_SECRET || null,
+    hmacSecret: process.env.API_HMAC_SECRET || null,
+    allowedOrigins: splitList(process.env.CORS_ALLOWED_ORIGINS),
+  };
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function sendAuthError(res, status, code, message) {
+  res.status(status).json({
+    error: status === 401 ? "Unauthorized" : "Forbidden",
+    code,
+    message,
+  });
+}
+
+// The HMAC covers timestamp, method, path + query and the raw body
+function computeSignature(secret, timestamp, method, url, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${body || ""}`)
+    .digest("hex");
+}
+
+// Headers for a signed request - used by the app to call itself, and usable by other clients
+export function signRequest(method, url, body = "") {
+  const { hmacSecret, tokens, cronSecret } = getConfig();
+  if (hmacSecret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    return {
+      "X-Timestamp": timestamp,
+      "X-Signature": `sha256=${computeSignature(hmacSecret, timestamp, method, url, body)}`,
+    };
+  }
+  const token = tokens[0] || cronSecret;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Routes using authentication disable Next's body parser, so the raw body is available for the HMAC
+export async function readRawBody(req) {
+  if (req.rawBody !== undefined) return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  req.rawBody = Buffer.concat(chunks).toString("utf8");
+  return req.rawBody;
+}
+
+export async function readJsonBody(req) {
+  const raw = await readRawBody(req);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    const error = new Error("Request body is not valid JSON");
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Returns { principal, canWrite } or null when the request carries no valid credentials
+async function identify(req, config) {
+  const header = req.headers.authorization || "";
+  const bearer = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+
+  if (bearer) {
+    if (config.tokens.some((token) => safeEqual(bearer, token))) {
+      return { principal: "token", canWrite: true };
+    }
+    if (config.readTokens.some((token) => safeEqual(bearer, token))) {
+      return { principal: "read-token", canWrite: false };
+    }
+    if (config.cronSecret && safeEqual(bearer, config.cronSecret)) {
+      return { principal: "cron", canWrite: true };
+    }
+    return null;
+  }
+
+  const signature = req.headers["x-signature"];
+  const timestamp = req.headers["x-timestamp"];
+  if (signature && timestamp && config.hmacSecret) {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+    const body = await readRawBody(req);
+    const expected = `sha256=${computeSignature(config.hmacSecret, timestamp, req.method, req.url, body)}`;
+    if (safeEqual(signature, expected)) {
+      return { principal: "hmac", canWrite: true };
+    }
+  }
+  return null;
+}
+
+// Checks credentials for `access` ("read" or "write"). Sends the 401/403 itself and
+// returns null when the request may not continue, otherwise returns the identity.
+export async function requireAuth(req, res, access = "read") {
+  const config = getConfig();
+  const configured = config.tokens.length || config.readTokens.length || config.cronSecret || config.hmacSecret;
+
+  if (!configured) {
+    if (process.env.NODE_ENV === "development") {
+      log.warn("No API credentials configured - allowing unauthenticated request in development");
+      return { principal: "development", canWrite: true };
+    }
+    sendAuthError(res, 401, "auth_not_configured",
+      "No API credentials are configured. Set API_TOKENS, API_HMAC_SECRET or CRON_SECRET.");
+    return null;
+  }
+
+  const identity = await identify(req, config);
+  if (!identity) {
+    const hasCredentials = req.headers.authorization || req.headers["x-signature"];
+    sendAuthError(res, 401, hasCredentials ? "invalid_credentials" : "missing_credentials",
+      hasCredentials
+        ? "The bearer token or request signature is not valid."
+        : "Send a bearer token in the Authorization header or sign the request.");
+    return null;
+  }
+
+  if (access === "write" && !identity.canWrite) {
+    sendAuthError(res, 403, "read_only", "These credentials only allow read-only requests.");
+    return null;
+  }
+  return identity;
+}
+
+// Sets CORS headers for allowed origins only. Returns false when the request
+// has been answered already (preflight, or an origin that is not allowed).
+export function applyCors(req, res, methods) {
+  const { allowedOrigins } = getConfig();
+  const origin = req.headers.origin;
+
+  res.setHeader("Vary", "Origin");
+  if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(","));
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization,X-Timestamp,X-Signature");
+  }
+
+  if (req.method === "OPTIONS") {
+    if (origin && !allowedOrigins.includes(origin)) {
+      sendAuthError(res, 403, "origin_not_allowed", `Origin ${origin} is not allowed.`);
+    } else {
+      res.status(200).end();
+    }
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,303 @@
+// lib/budget.js
+//
+// Spending limits for transcription. Before a recording is transcribed its length is measured
+// and the cost of all audio that will be sent estimated (the transcription with the overlap of
+// its chunks, and translations from the audio) from the per-minute price of each model, in USD:
+//   TRANSCRIPTION_PRICES='{"whisper-1":0.006,"gpt-4o-mini-transcribe":0.003}'
+// Models without a price there cost TRANSCRIPTION_PRICE_PER_MINUTE (default 0.006 with the
+// openai provider, 0 with a self-hosted server). Caps, each optional:
+//   BUDGET_DAILY_MINUTES, BUDGET_DAILY_SPEND, BUDGET_MONTHLY_MINUTES, BUDGET_MONTHLY_SPEND
+// A file that would go over a cap is not transcribed: it stays in the input folder and is
+// picked up by a later run once there is room again. Once the transcription is done, or has
+// failed, the estimate is replaced by the audio that was actually sent. Days and months follow
+// BUDGET_TIMEZONE (default UTC). Usage is kept per month (usage-2026-05.json) in the same kind
+// of store as the jobs, and only read and written under a lock on the month (see lib/lock.js),
+// as pipelines run in separate invocations that book into the same file.
+import { mkdir, readFile, writeFile, rename } from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { getDriveClient, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { getTranscriptionProvider } from "./transcription.js";
+import { withTempDir, writeTempAudio, probeDuration } from "./audio.js";
+import { createFileLocks, createDriveLocks, withLock } from "./lock.js";
+import { log } from "./log.js";
+
+// Used when ffprobe can't read the length: a low bitrate overestimates rather than underestimates
+const FALLBACK_KBPS = Number(process.env.BUDGET_FALLBACK_KBPS) || 64;
+const DEFAULT_PRICES = { "whisper-1": 0.006, "gpt-4o-transcribe": 0.006, "gpt-4o-mini-transcribe": 0.003 };
+// A booking takes a read and a write; a lock older than this was left behind by a run that died
+const LOCK_TTL_MS = 60 * 1000;
+const LOCK_WAIT_MS = (Number(process.env.BUDGET_LOCK_WAIT_SECONDS) || 60) * 1000;
+const CAPS = [
+  { key: "BUDGET_DAILY_MINUTES", period: "daily", measure: "minutes", label: "daily minute cap" },
+  { key: "BUDGET_DAILY_SPEND", period: "daily", measure: "spend", label: "daily spend cap" },
+  { key: "BUDGET_MONTHLY_MINUTES", period: "monthly", measure: "minutes", label: "monthly minute cap" },
+  { key: "BUDGET_MONTHLY_SPEND", period: "monthly", measure: "spend", label: "monthly spend cap" },
+];
+
+// ======= STORES =======
+function createFileStore() {
+  const dir = process.env.USAGE_DIR || path.join(process.cwd(), ".usage");
+  const usagePath = (month) => path.join(dir, `usage-${month}.json`);
+
+  return {
+    async load(month) {
+      try {
+        return JSON.parse(await readFile(usagePath(month), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async save(usage) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(`${usagePath(usage.month)}.tmp`, JSON.stringify(usage, null, 2));
+      await rename(`${usagePath(usage.month)}.tmp`, usagePath(usage.month));
+    },
+    ...createFileLocks(dir),
+  };
+}
+
+function createDriveStore() {
+  const folderId = process.env.USAGE_FOLDER_ID || process.env.RUNS_FOLDER_ID || process.env.JOBS_FOLDER_ID;
+  if (!folderId) {
+    throw new Error("JOB_STORE is 'drive' but none of USAGE_FOLDER_ID, RUNS_FOLDER_ID and JOBS_FOLDER_ID is set");
+  }
+  const fileName = (month) => `usage-${month}.json`;
+
+  async function findFile(month) {
+    const drive = getDriveClient();
+    const res = await drive.files.list({
+      ...DRIVE_LIST_PARAMS,
+      q: `'${folderId}' in parents and name='${fileName(month)}' and trashed=false`,
+      fields: "files(id)",
+      // The oldest, should an earlier version have left two behind
+      orderBy: "createdTime",
+      pageSize: 1,
+    });
+    return res.data.files?.[0]?.id || null;
+  }
+
+  return {
+    async load(month) {
+      const fileId = await findFile(month);
+      if (!fileId) return null;
+      const drive = getDriveClient();
+      const res = await drive.files.get({ ...DRIVE_PARAMS, fileId, alt: "media" }, { responseType: "arraybuffer" });
+      return JSON.parse(Buffer.from(res.data).toString("utf8"));
+    },
+    async save(usage) {
+      const drive = getDriveClient();
+      const media = { mimeType: "application/json", body: Readable.from([JSON.stringify(usage)]) };
+      const fileId = await findFile(usage.month);
+      if (fileId) {
+        await drive.files.update({ ...DRIVE_PARAMS, fileId, media, fields: "id" });
+      } else {
+        await drive.files.create({
+          ...DRIVE_PARAMS,
+          requestBody: { name: fileName(usage.month), parents: [folderId] },
+          media,
+          fields: "id",
+        });
+      }
+    },
+    ...createDriveLocks(folderId),
+  };
+}
+
+let cachedStore = null;
+
+// Same kind of store as the jobs (see lib/jobs.js)
+function getStore() {
+  if (cachedStore) return cachedStore;
+  const type = process.env.JOB_STORE || (process.env.JOBS_FOLDER_ID ? "drive" : "file");
+  if (type === "file") {
+    cachedStore = createFileStore();
+  } else if (type === "drive") {
+    cachedStore = createDriveStore();
+  } else {
+    throw new Error(`Unknown JOB_STORE "${type}". Use "file" or "drive".`);
+  }
+  return cachedStore;
+}
+
+// The CLI's local command works without Google, so its usage stays in USAGE_DIR whatever the
+// job store is. It is then counted apart from the usage of the deployment.
+export function useLocalUsageStore() {
+  cachedStore = createFileStore();
+}
+
+// ======= PRICES =======
+let cachedPrices = null;
+
+function getConfiguredPrices() {
+  if (cachedPrices) return cachedPrices;
+  try {
+    cachedPrices = process.env.TRANSCRIPTION_PRICES ? JSON.parse(process.env.TRANSCRIPTION_PRICES) : {};
+  } catch (e) {
+    throw new Error("Failed to parse TRANSCRIPTION_PRICES: " + e.message);
+  }
+  return cachedPrices;
+}
+
+// USD per minute of audio for a model. OpenAI's list prices only apply to its own API.
+export function getPricePerMinute(model) {
+  const provider = getTranscriptionProvider();
+  const prices = { ...(provider.name === "openai" ? DEFAULT_PRICES : {}), ...getConfiguredPrices() };
+  if (typeof prices[model] === "number") return prices[model];
+  if (process.env.TRANSCRIPTION_PRICE_PER_MINUTE) return Number(process.env.TRANSCRIPTION_PRICE_PER_MINUTE);
+  return provider.name === "openai" ? DEFAULT_PRICES["whisper-1"] : 0;
+}
+
+const roundMoney = (value) => Math.round(value * 10000) / 10000;
+const roundMinutes = (value) => Math.round(value * 10) / 10;
+
+// Length of a recording in seconds, from ffprobe or else estimated from its size
+export async function measureDuration(buffer, fileName) {
+  try {
+    const seconds = await withTempDir(async (dir) => probeDuration(await writeTempAudio(dir, buffer, fileName)));
+    return { seconds, estimated: false };
+  } catch (error) {
+    const seconds = (buffer.length * 8) / (FALLBACK_KBPS * 1000);
+    log.warn(`Could not read the length of ${fileName}, estimating ${Math.round(seconds)}s from its size`, error);
+    return { seconds, estimated: true };
+  }
+}
+
+// ======= USAGE =======
+// "2026-05-12" in BUDGET_TIMEZONE
+function today() {
+  const timeZone = process.env.BUDGET_TIMEZONE || "UTC";
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function capValue(key) {
+  const value = Number(process.env[key]);
+  return process.env[key] && Number.isFinite(value) ? value : null;
+}
+
+function totals(entries) {
+  return entries.reduce(
+    (sum, entry) => ({ seconds: sum.seconds + entry.seconds, cost: sum.cost + entry.cost, files: sum.files + entry.files }),
+    { seconds: 0, cost: 0, files: 0 }
+  );
+}
+
+// Usage of today and this month, next to the caps
+function describeUsage(usage, date) {
+  const day = totals(usage.days[date] ? [usage.days[date]] : []);
+  const month = totals(Object.values(usage.days));
+  const period = (sums, prefix) => ({
+    minutes: roundMinutes(sums.seconds / 60),
+    spend: roundMoney(sums.cost),
+    files: sums.files,
+    minuteCap: capValue(`BUDGET_${prefix}_MINUTES`),
+    spendCap: capValue(`BUDGET_${prefix}_SPEND`),
+  });
+  return {
+    currency: "USD",
+    timezone: process.env.BUDGET_TIMEZONE || "UTC",
+    daily: { date, ...period(day, "DAILY") },
+    monthly: { month: usage.month, ...period(month, "MONTHLY") },
+  };
+}
+
+async function loadUsage(date) {
+  const month = date.slice(0, 7);
+  return (await getStore().load(month)) || { month, days: {} };
+}
+
+// Runs fn(usage) on the month's usage holding its lock, so no other run reads it in between.
+// Within this process the bookings are also queued one after another, instead of contending for the lock.
+let pending = Promise.resolve();
+function withUsage(date, fn) {
+  const month = date.slice(0, 7);
+  const result = pending.then(() => withLock(getStore(), `usage-${month}`, async () => fn(await loadUsage(date)), {
+    ttlMs: LOCK_TTL_MS,
+    waitMs: LOCK_WAIT_MS,
+  }));
+  pending = result.catch(() => {});
+  return result;
+}
+
+// Cost of audio sent to the provider, [{ model, seconds }], at each model's price
+function priceUsage(usage) {
+  const seconds = usage.reduce((sum, entry) => sum + entry.seconds, 0);
+  const cost = roundMoney(usage.reduce((sum, entry) => sum + (entry.seconds / 60) * getPricePerMinute(entry.model), 0));
+  return { seconds, cost };
+}
+
+// Checks a recording against the caps and, if it fits, books its estimated cost right away,
+// so files transcribed side by side can't all slip under the same cap. planUsage(seconds)
+// returns the audio that will be sent for a recording of that length, [{ model, seconds }]:
+// the transcription with the overlap of its chunks, and every translation from the audio.
+// Returns { allowed, seconds, minutes, cost, estimated, exceeded: [labels], usage, charge },
+// where seconds is the length of the recording and minutes and cost cover all of the audio sent.
+export async function reserveBudget(buffer, fileName, planUsage) {
+  const measured = await measureDuration(buffer, fileName);
+  const { seconds, cost } = priceUsage(planUsage(measured.seconds));
+
+  const date = today();
+  return withUsage(date, async (usage) => {
+    // The caps are checked against the usage read under the lock, never an earlier copy
+    const before = describeUsage(usage, date);
+
+    const exceeded = CAPS.filter((cap) => {
+      const limit = capValue(cap.key);
+      if (limit === null) return false;
+      const used = before[cap.period][cap.measure];
+      return used + (cap.measure === "minutes" ? seconds / 60 : cost) > limit;
+    }).map((cap) => `${cap.label} of ${capValue(cap.key)}${cap.measure === "minutes" ? " minutes" : " USD"}`);
+
+    const result = {
+      seconds: Math.round(measured.seconds),
+      minutes: roundMinutes(seconds / 60),
+      cost,
+      estimated: measured.estimated,
+      exceeded,
+    };
+    if (exceeded.length) {
+      return { ...result, allowed: false, usage: before };
+    }
+
+    const entry = usage.days[date] || { seconds: 0, cost: 0, files: 0 };
+    usage.days[date] = { seconds: entry.seconds + seconds, cost: roundMoney(entry.cost + cost), files: entry.files + 1 };
+    usage.updatedAt = new Date().toISOString();
+    await getStore().save(usage);
+    return { ...result, allowed: true, usage: describeUsage(usage, date), charge: { date, seconds, cost } };
+  });
+}
+
+// Replaces a reservation by the audio that was actually sent, [{ model, seconds }], once the
+// transcription is done or has failed. Whatever the provider received is paid for, also when the
+// file fails later on; only a file of which nothing was sent is taken off the count again.
+// Returns the booked { minutes, cost }.
+export async function settleBudget(charge, sent) {
+  const actual = priceUsage(sent);
+  if (!charge) return { minutes: roundMinutes(actual.seconds / 60), cost: actual.cost };
+  try {
+    await withUsage(charge.date, async (usage) => {
+      const entry = usage.days[charge.date] || { seconds: 0, cost: 0, files: 0 };
+      usage.days[charge.date] = {
+        seconds: Math.max(0, entry.seconds - charge.seconds + actual.seconds),
+        cost: Math.max(0, roundMoney(entry.cost - charge.cost + actual.cost)),
+        files: Math.max(0, entry.files - (sent.length ? 0 : 1)),
+      };
+      usage.updatedAt = new Date().toISOString();
+      await getStore().save(usage);
+    });
+  } catch (error) {
+    log.warn("Could not book the transcription's actual usage, the estimate stays booked", error);
+  }
+  return { minutes: roundMinutes(actual.seconds / 60), cost: actual.cost };
+}
+
+// Current usage for API and CLI responses; a broken store is reported, not thrown
+export async function getBudgetUsage() {
+  try {
+    const date = today();
+    return describeUsage(await loadUsage(date), date);
+  } catch (error) {
+    return { error: `Could not read budget usage: ${error.message}` };
+  }
+}
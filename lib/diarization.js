@@ -0,0 +1,127 @@
+// lib/diarization.js
+//
+// A diarizer answers "who spoke when": it takes the audio plus the transcript
+// segments and returns speaker ranges as [{ start, end, speaker }].
+// Pick one with DIARIZATION_PROVIDER:
+//   none  - no speakers at all; turns are only split by time (default)
+//   pause - rough heuristic, switches between two speakers after a long silence
+//   http  - posts the audio to DIARIZATION_ENDPOINT (e.g. a pyannote service)
+const PAUSE_SECONDS = Number(process.env.DIARIZATION_PAUSE_SECONDS) || 1.5;
+const HTTP_TIMEOUT_MS = (Number(process.env.DIARIZATION_TIMEOUT_SECONDS) || 120) * 1000;
+
+// A single speaker would be labelled "Speaker 1" everywhere, which says nothing
+async function diarizeNone() {
+  return [];
+}
+
+async function diarizePause({ segments }) {
+  const ranges = [];
+  let speaker = 0;
+  segments.forEach((segment, i) => {
+    const previous = segments[i - 1];
+    if (previous && segment.start - previous.end >= PAUSE_SECONDS) {
+      speaker = 1 - speaker;
+    }
+    ranges.push({ start: segment.start, end: segment.end, speaker: String(speaker + 1) });
+  });
+  return ranges;
+}
+
+async function diarizeHttp({ audioBuffer, fileName }) {
+  const endpoint = process.env.DIARIZATION_ENDPOINT;
+  if (!endpoint) {
+    throw new Error("DIARIZATION_PROVIDER is 'http' but DIARIZATION_ENDPOINT is not set");
+  }
+
+  const form = new FormData();
+  form.append("file", new Blob([audioBuffer]), fileName);
+
+  const headers = {};
+  if (process.env.DIARIZATION_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.DIARIZATION_API_KEY}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(endpoint, { method: "POST", body: form, headers, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === "TimeoutError" || error.name === "AbortError") {
+      // Not a step of its own: the pipeline carries on without speakers when diarization fails
+      const timeoutError = new Error(`Diarization service did not answer within ${HTTP_TIMEOUT_MS / 1000}s`, { cause: error });
+      timeoutError.code = "ETIMEDOUT";
+      timeoutError.retryable = true;
+      throw timeoutError;
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    throw new Error(`Diarization service returned ${response.status}: ${body.slice(0, 200)}`);
+  }
+
+  // Accept either a bare array or { segments: [...] }
+  const data = await response.json();
+  const ranges = Array.isArray(data) ? data : data.segments;
+  if (!Array.isArray(ranges)) {
+    throw new Error("Diarization service response did not contain a list of speaker segments");
+  }
+  return ranges.map((range) => ({
+    start: Number(range.start),
+    end: Number(range.end),
+    speaker: String(range.speaker),
+  }));
+}
+
+const diarizers = {
+  none: diarizeNone,
+  pause: diarizePause,
+  http: diarizeHttp,
+};
+
+export function registerDiarizer(name, fn) {
+  diarizers[name] = fn;
+}
+
+export async function diarize(audioBuffer, fileName, segments) {
+  const provider = process.env.DIARIZATION_PROVIDER || "none";
+  const diarizer = diarizers[provider];
+  if (!diarizer) {
+    throw new Error(
+      `Unknown DIARIZATION_PROVIDER "${provider}". Available: ${Object.keys(diarizers).join(", ")}`
+    );
+  }
+  return diarizer({ audioBuffer, fileName, segments });
+}
+
+function overlap(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// Gives every segment the speaker whose range overlaps it the most.
+// Raw speaker ids are renamed "Speaker 1", "Speaker 2", ... in order of first appearance.
+// Without any ranges the segments get no speaker, and the transcript shows no labels.
+export function assignSpeakers(segments, speakerRanges) {
+  if (!speakerRanges.length) return segments.map((segment) => ({ ...segment, speaker: null }));
+  const labels = new Map();
+  let lastSpeaker = null;
+
+  return segments.map((segment) => {
+    let best = null;
+    let bestOverlap = 0;
+    for (const range of speakerRanges) {
+      const amount = overlap(segment, range);
+      if (amount > bestOverlap) {
+        best = range.speaker;
+        bestOverlap = amount;
+      }
+    }
+
+    // Segments that fall between speaker ranges stay with whoever spoke last
+    const speakerId = best ?? lastSpeaker ?? "1";
+    lastSpeaker = speakerId;
+    if (!labels.has(speakerId)) {
+      labels.set(speakerId, `Speaker ${labels.size + 1}`);
+    }
+    return { ...segment, speaker: labels.get(speakerId) };
+  });
+}
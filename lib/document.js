@@ -0,0 +1,193 @@
+// lib/document.js
+//
+// Builds Google Docs content from a list of blocks:
+//   { text: "Weekly sync", style: "TITLE" }
+//   { text: "Ship the release", bullet: true }
+//   { text: "[00:00:05] Speaker 1: Hello", boldPrefix: 21, spaceBelow: 8 }
+//   { table: [["Source file", { text: "a.mp3", url: "https://..." }], ["Duration", "00:42:10"]] }
+// Each text block becomes one paragraph. All text is inserted with a single
+// insertText request, followed by the styling requests for its ranges. Tables
+// (two columns, label + value) are added afterwards, see writeBlocks.
+
+import { withRetry } from "./errors.js";
+import { log } from "./log.js";
+
+// Docs indexes count UTF-16 code units, which is exactly what String#length counts
+export function buildDocRequests(blocks, startIndex = 1) {
+  let text = "";
+  const styleRequests = [];
+
+  for (const block of blocks) {
+    // A table is first inserted as an empty paragraph, which writeBlocks replaces
+    const paragraph = block.table ? "\n" : block.text.replace(/\n+$/, "") + "\n";
+    const range = {
+      startIndex: startIndex + text.length,
+      endIndex: startIndex + text.length + paragraph.length,
+    };
+    text += paragraph;
+
+    if (block.style) {
+      styleRequests.push({
+        updateParagraphStyle: {
+          range,
+          paragraphStyle: { namedStyleType: block.style },
+          fields: "namedStyleType",
+        },
+      });
+    }
+    if (block.spaceBelow) {
+      styleRequests.push({
+        updateParagraphStyle: {
+          range,
+          paragraphStyle: { spaceBelow: { magnitude: block.spaceBelow, unit: "PT" } },
+          fields: "spaceBelow",
+        },
+      });
+    }
+    if (block.boldPrefix) {
+      styleRequests.push({
+        updateTextStyle: {
+          range: { startIndex: range.startIndex, endIndex: range.startIndex + block.boldPrefix },
+          textStyle: { bold: true },
+          fields: "bold",
+        },
+      });
+    }
+    if (block.bullet) {
+      styleRequests.push({
+        createParagraphBullets: {
+          range,
+          bulletPreset: "BULLET_DISC_CIRCLE_SQUARE",
+        },
+      });
+    }
+  }
+
+  if (!text) return [];
+  return [{ insertText: { location: { index: startIndex }, text } }, ...styleRequests];
+}
+
+// Plain text is inserted as it is, one paragraph per line
+export function textToBlocks(content) {
+  return [{ text: content }];
+}
+
+// Index of the empty placeholder paragraph of every table block, in document order
+function tablePlaceholderIndexes(blocks, startIndex = 1) {
+  const indexes = [];
+  let index = startIndex;
+  for (const block of blocks) {
+    if (block.table) {
+      indexes.push(index);
+      index += 1;
+    } else {
+      index += block.text.replace(/\n+$/, "").length + 1;
+    }
+  }
+  return indexes;
+}
+
+// Requests filling one table; cells are filled last to first so earlier indexes stay valid
+function tableCellRequests(tableElement, rows) {
+  const requests = [];
+  const tableRows = tableElement.table.tableRows;
+
+  for (let r = rows.length - 1; r >= 0; r--) {
+    for (let c = rows[r].length - 1; c >= 0; c--) {
+      const value = rows[r][c];
+      const cellText = typeof value === "object" && value !== null ? value.text : String(value ?? "");
+      if (!cellText) continue;
+
+      const index = tableRows[r].tableCells[c].content[0].startIndex;
+      const range = { startIndex: index, endIndex: index + cellText.length };
+      requests.push({ insertText: { location: { index }, text: cellText } });
+
+      // Label column in bold, values may link somewhere
+      if (c === 0) {
+        requests.push({ updateTextStyle: { range, textStyle: { bold: true }, fields: "bold" } });
+      }
+      if (value && value.url) {
+        requests.push({ updateTextStyle: { range, textStyle: { link: { url: value.url } }, fields: "link" } });
+      }
+    }
+  }
+  return requests;
+}
+
+// The Docs API's answer to a write pinned to a revision the document has moved past
+function isRevisionMismatch(error) {
+  const status = error.code || error.status || error.response?.status;
+  return status === 400 && /revision/i.test(error.response?.data?.error?.message || error.message || "");
+}
+
+// A batchUpdate that must not be applied twice. Inserts and deletes at fixed indexes would
+// be, if a retry repeated an attempt that went through but whose answer was lost (a timeout,
+// a 5xx from a proxy). The update is therefore pinned to the document's current revision:
+// a repeat finds a newer revision and is rejected, which means the earlier attempt was applied.
+// Only for documents nobody else edits in the meantime, like the ones the pipeline creates.
+export async function updateDocumentOnce(docs, documentId, requests) {
+  const current = await withRetry(() => docs.documents.get({ documentId, fields: "revisionId" }), "Docs read");
+  const writeControl = { requiredRevisionId: current.data.revisionId };
+  let attempted = false;
+  await withRetry(async () => {
+    try {
+      await docs.documents.batchUpdate({ documentId, requestBody: { requests, writeControl } });
+    } catch (error) {
+      if (attempted && isRevisionMismatch(error)) {
+        log.info(`Docs update of ${documentId} was applied by an earlier attempt`);
+        return;
+      }
+      attempted = true;
+      throw error;
+    }
+  }, "Docs update");
+}
+
+// Writes blocks into an empty document: text and styles first, then the tables
+export async function writeBlocks(docs, documentId, blocks) {
+  const requests = buildDocRequests(blocks);
+  if (!requests.length) return;
+  await updateDocumentOnce(docs, documentId, requests);
+
+  // Pair every table with its placeholder; empty tables just stay an empty paragraph
+  const placeholders = tablePlaceholderIndexes(blocks);
+  const tables = blocks
+    .filter((block) => block.table)
+    .map((block, i) => ({ rows: block.table, index: placeholders[i] }))
+    .filter((table) => table.rows.length);
+  if (!tables.length) return;
+
+  // Insert the tables from the bottom up, so the placeholder indexes above stay valid
+  const insertRequests = tables
+    .map((table) => ({
+      insertTable: {
+        rows: table.rows.length,
+        columns: Math.max(...table.rows.map((row) => row.length)),
+        location: { index: table.index },
+      },
+    }))
+    .reverse();
+  await updateDocumentOnce(docs, documentId, insertRequests);
+
+  // Cell positions are easiest to read back from the document itself
+  const doc = await withRetry(() => docs.documents.get({ documentId }), "Docs read");
+  const tableElements = doc.data.body.content.filter((element) => element.table);
+  const fillRequests = [];
+  for (let i = tables.length - 1; i >= 0; i--) {
+    fillRequests.push(...tableCellRequests(tableElements[i], tables[i].rows));
+  }
+  if (fillRequests.length) {
+    await updateDocumentOnce(docs, documentId, fillRequests);
+  }
+}
+
+// Headings of a document with their IDs, for links like .../edit#heading=h.abc123
+export async function findHeadings(docs, documentId) {
+  const doc = await withRetry(() => docs.documents.get({ documentId }), "Docs read");
+  return doc.data.body.content
+    .filter((element) => element.paragraph?.paragraphStyle?.headingId)
+    .map((element) => ({
+      text: element.paragraph.elements.map((part) => part.textRun?.content || "").join("").trim(),
+      headingId: element.paragraph.paragraphStyle.headingId,
+    }));
+}
@@ -0,0 +1,137 @@
+// lib/errors.js
+//
+// Errors thrown by the processing steps carry where they happened and whether
+// trying again can help:
+//   StepError { step, stepLabel, retryable, upstreamStatus, code, cause }
+// withRetry retries transient failures from Google and OpenAI (429, 5xx,
+// dropped connections) with exponential backoff and full jitter.
+import { log } from "./log.js";
+
+// Steps of processFile, with the labels shown in results and on the dashboard
+export const STEP_LABELS = {
+  metadata: "Loading file metadata",
+  output_folder: "Preparing output folder",
+  download: "Step 1: Downloading file",
+  budget: "Step 1a: Checking the budget",
+  format: "Step 1b: Detecting audio format",
+  transcribe: "Step 2: Transcribing audio",
+  redact: "Step 2a: Redacting personal data",
+  save_transcript: "Step 2b: Saving transcript",
+  doc: "Step 3: Creating Google Doc",
+  translation_docs: "Step 3a: Creating translated Docs",
+  subtitles: "Step 3b: Uploading subtitle files",
+  move: "Step 4: Moving file to output folder",
+  quarantine: "Moving file to failed folder",
+  unknown: "Unknown step",
+};
+
+const RETRY_ATTEMPTS = Number(process.env.RETRY_ATTEMPTS) || 4;
+const RETRY_BASE_MS = Number(process.env.RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = Number(process.env.RETRY_MAX_MS) || 20000;
+
+// Network failures worth another try
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+export class StepError extends Error {
+  constructor(step, message, { retryable = false, upstreamStatus = null, code = null, cause = null } = {}) {
+    super(message);
+    this.name = "StepError";
+    this.step = step;
+    this.stepLabel = STEP_LABELS[step] || step;
+    this.retryable = retryable;
+    this.upstreamStatus = upstreamStatus;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+// HTTP status of the failed upstream request, from googleapis (gaxios), the OpenAI SDK or fetch
+export function getUpstreamStatus(error) {
+  if (!error) return null;
+  if (error instanceof StepError) return error.upstreamStatus;
+  const status = error.status ?? error.response?.status ?? (typeof error.code === "number" ? error.code : null);
+  return Number.isInteger(status) ? status : null;
+}
+
+export function isRetryable(error) {
+  if (!error) return false;
+  if (typeof error.retryable === "boolean") return error.retryable;
+
+  const status = getUpstreamStatus(error);
+  // Google reports its rate limits as 403 with a rateLimitExceeded reason
+  if (status === 403) {
+    const reasons = (error.errors || error.response?.data?.error?.errors || []).map((e) => e.reason);
+    return reasons.includes("rateLimitExceeded") || reasons.includes("userRateLimitExceeded");
+  }
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  // No status: the request never got an answer
+  const code = error.code || error.cause?.code;
+  if (TRANSIENT_CODES.has(code)) return true;
+  // OpenAI SDK connection errors and fetch failures
+  return error.name === "APIConnectionError" ||
+    error.name === "APIConnectionTimeoutError" ||
+    (error.name === "TypeError" && error.message === "fetch failed") ||
+    /socket hang up/i.test(error.message || "");
+}
+
+// Wraps any error thrown in `step`; errors that already are StepErrors keep their step
+export function toStepError(step, error) {
+  if (error instanceof StepError) return error;
+  return new StepError(step, error.message, {
+    retryable: isRetryable(error),
+    upstreamStatus: getUpstreamStatus(error),
+    code: typeof error.code === "string" || typeof error.code === "number" ? error.code : null,
+    cause: error,
+  });
+}
+
+// Delay asked for in a Retry-After header, if the upstream sent one
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const value = headers && (typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"]);
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs fn, retrying transient failures up to RETRY_ATTEMPTS times in total
+export async function withRetry(fn, label = "request", { attempts = RETRY_ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+
+      // Full jitter: anywhere between 0 and the exponential cap, unless the upstream told us how long to wait
+      const cap = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+      const delay = Math.min(RETRY_MAX_MS, retryAfterMs(error) ?? Math.round(Math.random() * cap));
+      log.warn(
+        `${label} failed (attempt ${attempt}/${attempts}, ${getUpstreamStatus(error) || error.code || error.message}), ` +
+        `retrying in ${delay}ms...`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+// Runs one processing step: errors come out as StepErrors for that step
+export async function runStep(step, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw toStepError(step, error);
+  }
+}
@@ -0,0 +1,258 @@
+// lib/export.js
+//
+// Renders document blocks (see lib/document.js) to local files, for the CLI:
+// Markdown, plain text and Word (.docx). Nothing here talks to Google.
+import { deflateRawSync } from "zlib";
+
+// ======= MARKDOWN / TEXT =======
+function cellText(value) {
+  return typeof value === "object" && value !== null ? value.text : String(value ?? "");
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]|])/g, "\\$1");
+}
+
+export function blocksToMarkdown(blocks) {
+  const lines = [];
+  for (const block of blocks) {
+    if (block.table) {
+      if (!block.table.length) continue;
+      const rows = block.table.map((row) => row.map((value, c) => {
+        const text = escapeMarkdown(cellText(value));
+        if (value && value.url) return `[${text}](${value.url})`;
+        return c === 0 ? `**${text}**` : text;
+      }));
+      // Markdown tables need a header row; these label + value tables have none, so it stays empty
+      lines.push(`|${rows[0].map(() => "   ").join("|")}|`, `|${rows[0].map(() => "---").join("|")}|`);
+      lines.push(...rows.map((row) => `| ${row.join(" | ")} |`), "");
+      continue;
+    }
+
+    const text = block.text.replace(/\n+$/, "");
+    if (block.style === "TITLE") {
+      lines.push("", `# ${text}`, "");
+    } else if (block.style === "HEADING_1") {
+      lines.push("", `## ${text}`, "");
+    } else if (block.bullet) {
+      lines.push(`- ${text}`);
+    } else if (block.boldPrefix) {
+      lines.push(`**${text.slice(0, block.boldPrefix).trim()}** ${text.slice(block.boldPrefix).trim()}`, "");
+    } else {
+      lines.push(text, "");
+    }
+  }
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+export function blocksToText(blocks) {
+  const lines = [];
+  for (const block of blocks) {
+    if (block.table) {
+      lines.push(...block.table.map((row) => row.map(cellText).join(": ")), "");
+      continue;
+    }
+    const text = block.text.replace(/\n+$/, "");
+    if (block.style === "TITLE" || block.style === "HEADING_1") {
+      lines.push("", text, "=".repeat(Math.min(text.length, 80)), "");
+    } else if (block.bullet) {
+      lines.push(`- ${text}`);
+    } else {
+      lines.push(text, "");
+    }
+  }
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+// ======= DOCX =======
+// A .docx is a ZIP of XML parts. The few parts a transcript needs are written by hand,
+// so no extra dependency is required.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date in local time, as ZIP headers store them. The format starts in 1980;
+// a date of 0 is invalid and shows up as a broken or 1980 timestamp in unzip tools.
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Minimal ZIP writer: deflated entries, no ZIP64 (transcripts are far below 4 GB)
+function createZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content } of entries) {
+    const data = Buffer.from(content, "utf8");
+    const compressed = deflateRawSync(data);
+    const nameBuffer = Buffer.from(name, "utf8");
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function run(text, { bold = false } = {}) {
+  const props = bold ? "<w:rPr><w:b/></w:rPr>" : "";
+  return `<w:r>${props}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+const DOCX_STYLES = {
+  TITLE: "Title",
+  HEADING_1: "Heading1",
+};
+
+function paragraphXml(block) {
+  const text = block.text.replace(/\n+$/, "");
+  const props = [];
+  if (DOCX_STYLES[block.style]) props.push(`<w:pStyle w:val="${DOCX_STYLES[block.style]}"/>`);
+  if (block.bullet) props.push(`<w:pStyle w:val="ListBullet"/>`);
+  if (block.spaceBelow) props.push(`<w:spacing w:after="${block.spaceBelow * 20}"/>`);
+  const pPr = props.length ? `<w:pPr>${props.join("")}</w:pPr>` : "";
+
+  const runs = block.boldPrefix
+    ? run(text.slice(0, block.boldPrefix), { bold: true }) + run(text.slice(block.boldPrefix))
+    : run(text);
+  return `<w:p>${pPr}${runs}</w:p>`;
+}
+
+function tableXml(rows) {
+  const border = `w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"`;
+  const borders = ["top", "left", "bottom", "right", "insideH", "insideV"]
+    .map((side) => `<w:${side} ${border}/>`)
+    .join("");
+  const rowsXml = rows.map((row) => `<w:tr>${row.map((value, c) =>
+    `<w:tc><w:p>${run(cellText(value), { bold: c === 0 })}</w:p></w:tc>`
+  ).join("")}</w:tr>`).join("");
+  return `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${borders}</w:tblBorders></w:tblPr>${rowsXml}</w:tbl>` +
+    // Word wants a paragraph between a table and whatever follows
+    "<w:p/>";
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:sz w:val="52"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:numPr><w:numId w:val="1"/></w:numPr><w:spacing w:after="60"/></w:pPr></w:style>
+</w:styles>`;
+
+const NUMBERING_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+export function blocksToDocx(blocks) {
+  const body = blocks
+    .map((block) => (block.table ? (block.table.length ? tableXml(block.table) : "") : paragraphXml(block)))
+    .join("");
+  const documentXml =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}` +
+    `<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr>` +
+    `</w:body></w:document>`;
+
+  return createZip([
+    { name: "[Content_Types].xml", content: CONTENT_TYPES_XML },
+    { name: "_rels/.rels", content: ROOT_RELS_XML },
+    { name: "word/document.xml", content: documentXml },
+    { name: "word/_rels/document.xml.rels", content: DOCUMENT_RELS_XML },
+    { name: "word/styles.xml", content: STYLES_XML },
+    { name: "word/numbering.xml", content: NUMBERING_XML },
+  ]);
+}
+
+// Renders blocks in one of the supported formats: "md", "txt" or "docx"
+export function renderBlocks(blocks, format) {
+  if (format === "md") return blocksToMarkdown(blocks);
+  if (format === "txt") return blocksToText(blocks);
+  if (format === "docx") return blocksToDocx(blocks);
+  throw new Error(`Unknown output format "${format}". Use md, txt or docx.`);
+}
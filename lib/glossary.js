@@ -0,0 +1,209 @@
+// lib/glossary.js
+//
+// Custom vocabulary for product names, client names and jargon that Whisper gets wrong.
+// The glossary is a Google Doc, Google Sheet or plain text/CSV file in Drive, one term per line/row:
+//
+//   Doc / text:   Becon: beacon, bee con, be-con
+//   Sheet / CSV:  Becon | beacon | bee con        (first column the term, the others variants)
+//
+// Lines starting with # are comments. The terms are passed to the transcription provider as
+// prompt, and afterwards every variant is replaced by its term (see applyCorrections).
+import { getDriveClient, DRIVE_PARAMS } from "./google.js";
+import { withRetry } from "./errors.js";
+import { log } from "./log.js";
+
+const CACHE_MS = (Number(process.env.GLOSSARY_CACHE_SECONDS) || 300) * 1000;
+// Whisper only looks at the last 224 tokens of a prompt; keep room for the pipeline prompt
+const PROMPT_CHARS = Number(process.env.GLOSSARY_PROMPT_CHARS) || 600;
+
+const cache = new Map();
+
+export function getGlossaryId(pipeline) {
+  return pipeline.glossaryId || process.env.GLOSSARY_ID || null;
+}
+
+// Splits one CSV line, honouring double quotes
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// [{ term, variants: [...] }] from "Term: variant, variant" lines or CSV rows
+export function parseGlossary(content, format = "text") {
+  const entries = [];
+  for (const rawLine of content.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    let term;
+    let variants;
+    if (format === "csv") {
+      const cells = parseCsvLine(line).map((cell) => cell.trim());
+      term = cells[0];
+      // Variants in one cell, comma separated, work as well as one per column
+      variants = cells.slice(1).flatMap((cell) => cell.split(","));
+    } else {
+      const separator = line.indexOf(":");
+      term = separator === -1 ? line : line.slice(0, separator);
+      variants = separator === -1 ? [] : line.slice(separator + 1).split(",");
+    }
+
+    term = (term || "").trim();
+    // A header row in a Sheet
+    if (!term || (format === "csv" && !entries.length && /^terms?$/i.test(term))) continue;
+    entries.push({ term, variants: variants.map((variant) => variant.trim()).filter(Boolean) });
+  }
+  return entries;
+}
+
+async function fetchGlossary(fileId) {
+  const drive = getDriveClient();
+  const meta = await withRetry(() => drive.files.get({ ...DRIVE_PARAMS, fileId, fields: "id,name,mimeType" }), "Glossary lookup");
+  const { mimeType, name } = meta.data;
+
+  let content;
+  let format = "text";
+  if (mimeType === "application/vnd.google-apps.document") {
+    const res = await withRetry(() => drive.files.export({ fileId, mimeType: "text/plain" }, { responseType: "text" }), "Glossary export");
+    content = res.data;
+  } else if (mimeType === "application/vnd.google-apps.spreadsheet") {
+    // Exports the first sheet only
+    const res = await withRetry(() => drive.files.export({ fileId, mimeType: "text/csv" }, { responseType: "text" }), "Glossary export");
+    content = res.data;
+    format = "csv";
+  } else if (mimeType.startsWith("text/") || mimeType === "application/csv") {
+    const res = await withRetry(() => drive.files.get({ ...DRIVE_PARAMS, fileId, alt: "media" }, { responseType: "text" }), "Glossary download");
+    content = res.data;
+    format = mimeType.includes("csv") || name.endsWith(".csv") ? "csv" : "text";
+  } else {
+    throw new Error(
+      `Glossary "${name}" (${fileId}) is a ${mimeType} file. Use a Google Doc, a Google Sheet or a text/CSV file.`
+    );
+  }
+
+  const entries = parseGlossary(String(content), format);
+  log.info(`Loaded glossary "${name}" with ${entries.length} term(s)`);
+  return { id: fileId, name, entries };
+}
+
+// The glossary, read from Drive at most once per GLOSSARY_CACHE_SECONDS
+export async function loadGlossary(fileId) {
+  const cached = cache.get(fileId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_MS) return cached.glossary;
+
+  const glossary = await fetchGlossary(fileId);
+  cache.set(fileId, { glossary, loadedAt: Date.now() });
+  return glossary;
+}
+
+// The terms as a transcription prompt. Whisper copies the spelling of words in the
+// prompt, so a plain list of the correct spellings is all it needs.
+export function glossaryPrompt(glossary) {
+  let prompt = "";
+  for (const { term } of glossary.entries) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > PROMPT_CHARS) break;
+    prompt = next;
+  }
+  return prompt;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeKey(text) {
+  return text.toLowerCase().replace(/\s+/g, " ");
+}
+
+// Builds one matcher for all variants, longest first, so "bee con" wins over "bee"
+export function buildCorrector(glossary) {
+  const targets = new Map();
+  for (const { term, variants } of glossary.entries) {
+    for (const variant of variants) targets.set(normalizeKey(variant), term);
+    // A term with capitals also fixes its own casing ("becon" -> "Becon"); an all lowercase
+    // term would otherwise "fix" words at the start of a sentence
+    if (term !== term.toLowerCase() && !targets.has(normalizeKey(term))) {
+      targets.set(normalizeKey(term), term);
+    }
+  }
+  if (!targets.size) return null;
+
+  const alternatives = [...targets.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((key) => escapeRegExp(key).replace(/ /g, "\\s+"));
+  // Word boundaries that also understand letters like ë and é, which \b does not
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+  return { pattern, targets };
+}
+
+// Matches the casing of what was said where the term leaves room for it:
+// "BEACON" -> "BECON", and a lowercase term at the start of a sentence gets a capital
+function applyCase(term, matched) {
+  if (matched.length > 1 && matched === matched.toUpperCase() && matched !== matched.toLowerCase()) {
+    return term.toUpperCase();
+  }
+  if (term === term.toLowerCase() && matched[0] !== matched[0].toLowerCase()) {
+    return term[0].toUpperCase() + term.slice(1);
+  }
+  return term;
+}
+
+// Replaces glossary variants in text. `counts` (Map "from -> to" => count) collects the corrections.
+export function correctText(text, corrector, counts = new Map()) {
+  if (!corrector || !text) return text;
+  return text.replace(corrector.pattern, (matched) => {
+    const replacement = applyCase(corrector.targets.get(normalizeKey(matched)), matched);
+    if (replacement === matched) return matched;
+    const key = `${matched}\u0000${replacement}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return replacement;
+  });
+}
+
+function countsToList(counts) {
+  return [...counts.entries()].map(([key, count]) => {
+    const [from, to] = key.split("\u0000");
+    return { from, to, count };
+  });
+}
+
+// Returns a corrected copy of a transcription ({ text, segments }) and the
+// corrections made: [{ from, to, count }]
+export function applyCorrections(transcription, glossary) {
+  const corrector = buildCorrector(glossary);
+  if (!corrector) return { transcription, corrections: [] };
+
+  // Segments and the full text hold the same words; only the segments are counted
+  const counts = new Map();
+  const segments = transcription.segments.map((segment) => ({
+    ...segment,
+    text: correctText(segment.text, corrector, counts),
+  }));
+  const text = correctText(transcription.text, corrector, segments.length ? new Map() : counts);
+
+  return { transcription: { ...transcription, text, segments }, corrections: countsToList(counts) };
+}
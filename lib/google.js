@@ -1,12 +1,46 @@
 // lib/google.js
+//
+// Google API clients. GOOGLE_AUTH_MODE picks who the app acts as:
+//   service_account - the service account in GOOGLE_SERVICE_ACCOUNT_JSON (default)
+//   delegated       - the same service account impersonating GOOGLE_IMPERSONATE_SUBJECT, a Workspace
+//                     user, through domain-wide delegation
+//   oauth           - a user who authorized the app once: GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET
+//                     and the stored GOOGLE_OAUTH_REFRESH_TOKEN (see `npm run cli -- google-auth`)
+// Without GOOGLE_AUTH_MODE the mode follows from what is set. In the last two modes Docs and
+// files are created by, and owned by, a real user instead of the service account.
+// GOOGLE_SCOPES replaces the default scopes (comma or space separated).
 import { google } from "googleapis";
-import { JWT } from "google-auth-library";
+import { JWT, OAuth2Client } from "google-auth-library";
+
+const AUTH_MODES = ["service_account", "delegated", "oauth"];
+const DEFAULT_SCOPES = [
+  "https://www.googleapis.com/auth/drive",
+  "https://www.googleapis.com/auth/documents",
+  "https://www.googleapis.com/auth/drive.file",
+];
 
 let cachedAuth = null;
 
-export function getAuth() {
-  if (cachedAuth) return cachedAuth;
+// Spread into Drive calls so files and folders on Shared Drives work like those in My Drive
+export const DRIVE_PARAMS = { supportsAllDrives: true };
+// List calls (files.list, changes.list) also have to be told to return Shared Drive items
+export const DRIVE_LIST_PARAMS = { supportsAllDrives: true, includeItemsFromAllDrives: true };
+
+export function getAuthMode() {
+  const mode = process.env.GOOGLE_AUTH_MODE ||
+    (process.env.GOOGLE_OAUTH_REFRESH_TOKEN ? "oauth" : process.env.GOOGLE_IMPERSONATE_SUBJECT ? "delegated" : "service_account");
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown GOOGLE_AUTH_MODE "${mode}". Use ${AUTH_MODES.join(", ")}.`);
+  }
+  return mode;
+}
+
+export function getScopes() {
+  const configured = (process.env.GOOGLE_SCOPES || "").split(/[\s,]+/).filter(Boolean);
+  return configured.length ? configured : DEFAULT_SCOPES;
+}
 
+function parseServiceAccount() {
   const saJsonStr = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
   if (!saJsonStr) {
     throw new Error("GOOGLE_SERVICE_ACCOUNT_JSON environment variable is not set");
@@ -30,28 +64,31 @@ export function getAuth() {
   // Fix private key - handle multiple escape scenarios
   // When storing JSON in environment variables, newlines are often escaped as \\n
   let privateKey = saJson.private_key;
-  
+
   // Replace escaped newlines with actual newlines
   // Handle both \\n (single backslash + n) and \\\\n (double backslash + n)
   privateKey = privateKey.replace(/\\n/g, "\n");
-  
+
   // Ensure the key has proper line breaks
   // The key should start with -----BEGIN and end with -----END
   if (!privateKey.includes("BEGIN") || !privateKey.includes("END")) {
     throw new Error("Private key format appears to be incorrect. Ensure it includes BEGIN and END markers.");
   }
+  return { email: saJson.client_email, privateKey };
+}
+
+function createServiceAccountAuth(subject) {
+  const { email, privateKey } = parseServiceAccount();
 
   // Use JWT client directly instead of GoogleAuth to avoid OpenSSL issues
   // This approach gives us better control over the authentication process
   try {
-    cachedAuth = new JWT({
-      email: saJson.client_email,
+    return new JWT({
+      email,
       key: privateKey,
-      scopes: [
-        "https://www.googleapis.com/auth/drive",
-        "https://www.googleapis.com/auth/documents",
-        "https://www.googleapis.com/auth/drive.file"
-      ],
+      scopes: getScopes(),
+      // With domain-wide delegation the service account acts as this user
+      subject: subject || undefined,
     });
   } catch (authError) {
     // Provide more helpful error messages
@@ -64,10 +101,70 @@ export function getAuth() {
     }
     throw authError;
   }
+}
+
+// An OAuth client for the app's own OAuth credentials; also used by the CLI to get a refresh token
+export function createOAuthClient(redirectUri) {
+  const clientId = process.env.GOOGLE_OAUTH_CLIENT_ID;
+  const clientSecret = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error(
+      "GOOGLE_OAUTH_CLIENT_ID and GOOGLE_OAUTH_CLIENT_SECRET must both be set to act as a Google user. " +
+      "Create a \"Desktop app\" OAuth client in the Google Cloud Console and copy its ID and secret."
+    );
+  }
+  return new OAuth2Client({ clientId, clientSecret, redirectUri });
+}
+
+function createUserAuth() {
+  const refreshToken = process.env.GOOGLE_OAUTH_REFRESH_TOKEN;
+  if (!refreshToken) {
+    throw new Error(
+      "GOOGLE_AUTH_MODE is 'oauth' but GOOGLE_OAUTH_REFRESH_TOKEN is not set. " +
+      "Run `npm run cli -- google-auth` to authorize a user and get one."
+    );
+  }
+  const client = createOAuthClient();
+  // Access tokens are fetched (and refreshed) from the refresh token when needed
+  client.setCredentials({ refresh_token: refreshToken });
+  return client;
+}
 
+export function getAuth() {
+  if (cachedAuth) return cachedAuth;
+
+  const mode = getAuthMode();
+  if (mode === "oauth") {
+    cachedAuth = createUserAuth();
+  } else if (mode === "delegated") {
+    const subject = process.env.GOOGLE_IMPERSONATE_SUBJECT;
+    if (!subject) {
+      throw new Error("GOOGLE_AUTH_MODE is 'delegated' but GOOGLE_IMPERSONATE_SUBJECT (the user to act as) is not set");
+    }
+    cachedAuth = createServiceAccountAuth(subject);
+  } else {
+    cachedAuth = createServiceAccountAuth();
+  }
   return cachedAuth;
 }
 
+// Whether Drive and Docs are used as a real user, who can own the files the app creates
+export function actsAsUser() {
+  return getAuthMode() !== "service_account";
+}
+
+// The account folders must be shared with, for error messages and debug output
+export function describeAccount() {
+  const mode = getAuthMode();
+  if (mode === "delegated") return process.env.GOOGLE_IMPERSONATE_SUBJECT || "the impersonated user";
+  if (mode === "oauth") return process.env.GOOGLE_OAUTH_USER_EMAIL || "the authorized Google user";
+  try {
+    return parseServiceAccount().email;
+  } catch {
+    return "your-service-account@project.iam.gserviceaccount.com";
+  }
+}
+
 export function getDriveClient() {
   const auth = getAuth();
   return google.drive({ version: "v3", auth });
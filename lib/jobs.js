@@ -0,0 +1,438 @@
+// lib/jobs.js
+//
+// Background jobs: POST /api/process-drive stores a job listing the files to
+// process and returns straight away. The worker (POST /api/jobs/[id]) processes
+// files until its time budget runs out, saves progress after every file and
+// then calls itself again until no files are left.
+import { randomUUID } from "crypto";
+import { mkdir, readFile, writeFile, readdir, rename } from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { getDriveClient, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { getAudioFile, processFile } from "./pipeline.js";
+import { toStepError } from "./errors.js";
+import { getPipeline } from "./pipeline-config.js";
+import { notifyRunFinished } from "./notify.js";
+import { signRequest } from "./auth.js";
+import { saveRun } from "./runs.js";
+import { createFileLocks, createDriveLocks, acquireLock } from "./lock.js";
+import { log, withLogContext } from "./log.js";
+
+// All files a worker starts should be finished this long after it started, safely inside the route's maxDuration (300s)
+const RUN_BUDGET_MS = (Number(process.env.JOB_RUN_BUDGET_SECONDS) || 270) * 1000;
+// Expected processing time of a file, until the worker has timed one itself
+const FILE_ESTIMATE_MS = (Number(process.env.JOB_FILE_ESTIMATE_SECONDS) || 90) * 1000;
+// Files processed side by side; each holds its recording in memory
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+// A worker that has not saved anything for this long is assumed to have died
+const LEASE_MS = 330 * 1000;
+// Jobs whose worker still has files to go through
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// ======= STORES =======
+// Local JSON files - for development, where the filesystem outlives a request
+function createFileStore() {
+  const dir = process.env.JOBS_DIR || path.join(process.cwd(), ".jobs");
+  const jobPath = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    async load(id) {
+      try {
+        return JSON.parse(await readFile(jobPath(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async save(job) {
+      await mkdir(dir, { recursive: true });
+      // Write then rename, so a reader never sees a half-written job
+      const tmpPath = `${jobPath(job.id)}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(job, null, 2));
+      await rename(tmpPath, jobPath(job.id));
+    },
+    // Newest first, only active jobs with activeOnly, at most `limit`
+    async list({ activeOnly = false, limit = Infinity } = {}) {
+      let names = [];
+      try {
+        names = await readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      const jobs = await Promise.all(
+        names.filter((name) => name.endsWith(".json")).map((name) => this.load(name.slice(0, -5)))
+      );
+      return jobs
+        .filter((job) => job && (!activeOnly || isActive(job)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+    // Worker leases (see lib/lock.js)
+    ...createFileLocks(dir),
+  };
+}
+
+// JSON files in a Drive folder - for serverless deployments without a persistent disk
+function createDriveStore() {
+  const folderId = process.env.JOBS_FOLDER_ID;
+  if (!folderId) {
+    throw new Error("JOB_STORE is 'drive' but JOBS_FOLDER_ID is not set");
+  }
+  const fileName = (id) => `job-${id}.json`;
+
+  async function findFile(id) {
+    const drive = getDriveClient();
+    const res = await drive.files.list({
+      ...DRIVE_LIST_PARAMS,
+      q: `'${folderId}' in parents and name='${fileName(id)}' and trashed=false`,
+      fields: "files(id)",
+      pageSize: 1,
+    });
+    return res.data.files?.[0]?.id || null;
+  }
+
+  async function download(fileId) {
+    const drive = getDriveClient();
+    const res = await drive.files.get({ ...DRIVE_PARAMS, fileId, alt: "media" }, { responseType: "arraybuffer" });
+    return JSON.parse(Buffer.from(res.data).toString("utf8"));
+  }
+
+  return {
+    async load(id) {
+      const fileId = await findFile(id);
+      return fileId ? download(fileId) : null;
+    },
+    async save(job) {
+      const drive = getDriveClient();
+      const media = { mimeType: "application/json", body: Readable.from([JSON.stringify(job)]) };
+      // Status is mirrored into appProperties so jobs can be filtered without downloading them
+      const appProperties = { jobStatus: job.status, pipelineId: job.pipelineId, inputFolderId: job.inputFolderId };
+      const fileId = await findFile(job.id);
+      if (fileId) {
+        await drive.files.update({ ...DRIVE_PARAMS, fileId, media, requestBody: { appProperties }, fields: "id" });
+      } else {
+        await drive.files.create({
+          ...DRIVE_PARAMS,
+          requestBody: { name: fileName(job.id), parents: [folderId], appProperties },
+          media,
+          fields: "id",
+        });
+      }
+    },
+    // Same as the file store. Active jobs are found by the status in their appProperties, and
+    // only the files that are needed get downloaded.
+    async list({ activeOnly = false, limit = Infinity } = {}) {
+      const drive = getDriveClient();
+      const status = activeOnly
+        ? ` and (${ACTIVE_STATUSES.map((value) => `appProperties has { key='jobStatus' and value='${value}' }`).join(" or ")})`
+        : "";
+      const files = [];
+      let pageToken;
+      do {
+        const res = await drive.files.list({
+          ...DRIVE_LIST_PARAMS,
+          q: `'${folderId}' in parents and name contains 'job-' and trashed=false${status}`,
+          fields: "nextPageToken, files(id)",
+          orderBy: "createdTime desc",
+          pageSize: Math.min(limit, 1000),
+          pageToken,
+        });
+        files.push(...(res.data.files || []));
+        pageToken = res.data.nextPageToken;
+      } while (pageToken && files.length < limit);
+      return Promise.all(files.slice(0, limit).map((file) => download(file.id)));
+    },
+    // Worker leases (see lib/lock.js)
+    ...createDriveLocks(folderId),
+  };
+}
+
+let cachedStore = null;
+
+function getStore() {
+  if (cachedStore) return cachedStore;
+  const type = process.env.JOB_STORE || (process.env.JOBS_FOLDER_ID ? "drive" : "file");
+  if (type === "file") {
+    cachedStore = createFileStore();
+  } else if (type === "drive") {
+    cachedStore = createDriveStore();
+  } else {
+    throw new Error(`Unknown JOB_STORE "${type}". Use "file" or "drive".`);
+  }
+  return cachedStore;
+}
+
+// ======= JOBS =======
+// Files over budget are done as far as this job goes; a later job picks them up again
+function isFinished(job) {
+  return job.files.every((file) => ["success", "error", "budget_exceeded"].includes(file.status));
+}
+
+export async function createJob({ pipeline, files }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    pipelineId: pipeline.id,
+    inputFolderId: pipeline.inputFolderId,
+    outputFolderId: pipeline.outputFolderId,
+    lockedUntil: null,
+    files: files.map((file) => ({
+      fileId: file.id,
+      fileName: file.name,
+      status: "pending",
+    })),
+  };
+  await getStore().save(job);
+  return job;
+}
+
+export async function getJob(id) {
+  return getStore().load(id);
+}
+
+function isActive(job) {
+  return ACTIVE_STATUSES.includes(job.status);
+}
+
+// Queues a job for the files that no active job of the folder covers yet, and starts its worker.
+// Repeated triggers (manual, cron, Drive notifications) therefore never queue a file twice.
+// Files an active job has already finished with (failed, over budget) don't count: its worker
+// won't pick them up again, so a retry gets a job of its own.
+export async function enqueueFiles({ pipeline, files, baseUrl }) {
+  const jobs = await getStore().list({ activeOnly: true });
+  const activeJobs = jobs.filter((job) => job.inputFolderId === pipeline.inputFolderId && isActive(job));
+  const queuedIds = new Set(activeJobs.flatMap((job) => job.files
+    .filter((file) => file.status === "pending" || file.status === "processing")
+    .map((file) => file.fileId)));
+  const newFiles = files.filter((file) => !queuedIds.has(file.id));
+
+  // Restart workers of active jobs in case their chain of invocations was broken
+  for (const job of activeJobs) {
+    await triggerJobRun(job.id, baseUrl);
+  }
+
+  if (!newFiles.length) {
+    return { job: activeJobs[0] || null, created: false };
+  }
+
+  const job = await createJob({ pipeline, files: newFiles });
+  log.info(`Created job ${job.id} for ${newFiles.length} file(s)`);
+  await triggerJobRun(job.id, baseUrl);
+  return { job, created: true };
+}
+
+// Processes pending files of a job until the time budget is used up.
+// Only one worker runs a job at a time (see acquireLock in lib/lock.js); a second call returns the job untouched.
+// Every invocation is a run with its own ID, carried by all its log lines and its summary in lib/runs.js.
+export function runJob(id) {
+  const runId = randomUUID();
+  return withLogContext({ runId, jobId: id }, () => runWorker(id, runId));
+}
+
+async function runWorker(id, runId) {
+  const store = getStore();
+  const startedAt = Date.now();
+
+  const current = await store.load(id);
+  if (!current) return null;
+  if (current.status === "completed") return current;
+
+  const pipeline = getPipeline(current.pipelineId);
+  if (!pipeline) {
+    throw new Error(`Job ${id} belongs to pipeline "${current.pipelineId}", which is no longer configured`);
+  }
+
+  // Reading the job, seeing no lease and saving one isn't enough: two workers started together would both do it
+  const lease = await acquireLock(store, id, runId, LEASE_MS);
+  if (!lease) {
+    log.info(`Job ${id} is already being processed by another worker`);
+    return current;
+  }
+  try {
+    // Read again now the lease is ours: another worker may have finished files in the meantime
+    const job = await store.load(id);
+    if (job.status === "completed") return job;
+    return await workJob(store, job, pipeline, { runId, startedAt, lease });
+  } finally {
+    await store.deleteLock(lease).catch((error) => log.warn(`Could not release the lock of job ${id}`, error));
+  }
+}
+
+async function workJob(store, job, pipeline, { runId, startedAt, lease }) {
+  const id = job.id;
+
+  // Files left "processing" by a worker that died are picked up again;
+  // the per-file ledger makes sure no step is repeated
+  for (const file of job.files) {
+    if (file.status === "processing") file.status = "pending";
+  }
+
+  // Workers run side by side and share one job document, so saves are queued one after another
+  let saving = Promise.resolve();
+  const save = () => {
+    saving = saving.then(async () => {
+      const until = Date.now() + LEASE_MS;
+      await store.renewLock(lease, until);
+      job.updatedAt = new Date().toISOString();
+      job.lockedUntil = new Date(until).toISOString();
+      await store.save(job);
+    });
+    return saving;
+  };
+
+  job.status = "running";
+  await save();
+
+  const deadline = startedAt + RUN_BUDGET_MS;
+  const durations = [];
+  // A new file is only started when there is time left to finish it: as long as the files
+  // in this run took on average, or FILE_ESTIMATE_MS before the first one is done
+  const hasTimeForFile = () => {
+    const estimate = durations.length
+      ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+      : FILE_ESTIMATE_MS;
+    return deadline - Date.now() >= estimate;
+  };
+
+  const queue = job.files.filter((entry) => entry.status === "pending");
+  const run = { id: runId, startedAt: new Date(startedAt).toISOString(), concurrency: CONCURRENCY, processed: [], failed: [], deferred: [], overBudget: [] };
+  const finished = [];
+
+  const worker = async () => {
+    while (queue.length) {
+      if (!hasTimeForFile()) return;
+      const entry = queue.shift();
+
+      entry.status = "processing";
+      entry.startedAt = new Date().toISOString();
+      await save();
+
+      const fileStartedAt = Date.now();
+      let result;
+      try {
+        const file = await getAudioFile(entry.fileId);
+        result = await processFile(file, pipeline);
+      } catch (error) {
+        const stepError = toStepError("metadata", error);
+        result = {
+          status: "error",
+          error: stepError.message,
+          step: stepError.stepLabel,
+          stepId: stepError.step,
+          retryable: stepError.retryable,
+          upstreamStatus: stepError.upstreamStatus || undefined,
+          errorCode: stepError.code || undefined,
+        };
+      }
+      durations.push(Date.now() - fileStartedAt);
+
+      Object.assign(entry, result, { finishedAt: new Date().toISOString() });
+      finished.push(entry);
+      if (entry.status === "success") {
+        run.processed.push({ fileId: entry.fileId, fileName: entry.fileName, docUrl: entry.docUrl });
+      } else if (entry.status === "budget_exceeded") {
+        run.overBudget.push({ fileId: entry.fileId, fileName: entry.fileName, budget: entry.budget });
+      } else {
+        run.failed.push({ fileId: entry.fileId, fileName: entry.fileName, step: entry.step, error: entry.error });
+      }
+      await save();
+    }
+  };
+
+  log.info(`Job ${id}: processing ${queue.length} file(s), ${CONCURRENCY} at a time`);
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+  await saving;
+
+  // Whatever is left stays pending for the next invocation
+  run.deferred = queue.map((entry) => ({ fileId: entry.fileId, fileName: entry.fileName }));
+  if (run.deferred.length) {
+    log.info(`Job ${id}: time budget used, leaving ${run.deferred.length} file(s) for the next run`);
+  }
+  run.finishedAt = new Date().toISOString();
+  job.lastRun = run;
+  if (finished.length) {
+    await saveRun({ id: runId, jobId: job.id, pipelineId: pipeline.id, source: "job", startedAt: run.startedAt, results: finished });
+  }
+
+  job.status = isFinished(job) ? "completed" : "queued";
+  if (job.status === "completed") {
+    try {
+      job.notifications = await notifyRunFinished({ pipeline, jobId: job.id, results: job.files });
+    } catch (error) {
+      // A broken target configuration must not keep the job from completing
+      log.error(`Job ${id}: could not send notifications`, error);
+      job.notifications = [{ status: "failed", error: error.message }];
+    }
+  }
+  job.lockedUntil = null;
+  job.updatedAt = new Date().toISOString();
+  await store.save(job);
+  return job;
+}
+
+// Most recent jobs first, without per-file results
+export async function listJobs({ limit = 20 } = {}) {
+  const jobs = await getStore().list({ limit });
+  return jobs
+    .map((job) => {
+      const { results, ...summary } = summarizeJob(job);
+      return summary;
+    });
+}
+
+export function summarizeJob(job) {
+  const count = (status) => job.files.filter((file) => file.status === status).length;
+  return {
+    id: job.id,
+    pipeline: job.pipelineId,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    total: job.files.length,
+    pending: count("pending"),
+    processing: count("processing"),
+    processed: count("success"),
+    failed: count("error"),
+    // Not transcribed because a budget cap would be exceeded (see lib/budget.js)
+    overBudget: count("budget_exceeded"),
+    // Processed, failed and deferred files of the most recent worker run
+    lastRun: job.lastRun || null,
+    // Delivery per notification target, once the job has completed
+    notifications: job.notifications || null,
+    results: job.files,
+  };
+}
+
+// Where the app calls itself (with credentials, see signRequest) and where Drive sends notifications.
+// Never derived from the request's Host header: a caller could point it at their own server and
+// receive the credentials. Only in development does it default to the local server.
+export function getBaseUrl() {
+  if (process.env.JOBS_BASE_URL) return process.env.JOBS_BASE_URL.replace(/\/$/, "");
+  if (process.env.NODE_ENV === "development") return `http://localhost:${process.env.PORT || 3000}`;
+  throw new Error("JOBS_BASE_URL is not set. Set it to the app's own URL, e.g. https://your-domain.vercel.app");
+}
+
+// Starts a worker for the job in a separate invocation. We only wait until the
+// request has gone out - the worker keeps running after we stop listening.
+export async function triggerJobRun(id, baseUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 2000);
+  try {
+    const url = `/api/jobs/${id}`;
+    await fetch(`${baseUrl}${url}`, {
+      method: "POST",
+      headers: signRequest("POST", url),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      log.warn(`Could not start worker for job ${id}`, error);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,129 @@
+// lib/ledger.js
+//
+// Per-file processing record, stored as Drive appProperties on the source audio file.
+// Every completed step is written back to the file, so when a run dies halfway
+// (e.g. the move fails after the Doc was created) the next run resumes from the
+// last completed step instead of creating a second transcript.
+import { getDriveClient, DRIVE_PARAMS } from "./google.js";
+import { withRetry } from "./errors.js";
+
+const PREFIX = "transcription_";
+
+// In the order they happen
+export const STEPS = ["downloaded", "transcribed", "doc_created", "subtitles_uploaded", "moved"];
+
+// Fields stored next to the step, each holding a Drive file ID
+const ID_FIELDS = ["transcriptFileId", "unredactedFileId", "docId", "srtFileId", "vttFileId"];
+
+// The chunks of a long recording transcribed so far, until the whole transcript is saved
+const PARTIAL_FIELD = `${PREFIX}partialFileId`;
+
+// One property per translation language, holding the translated Doc's ID or "#heading=..." for a section
+const TRANSLATION_PREFIX = `${PREFIX}translation_`;
+
+// Drive limits an app property to 124 bytes for key and value together
+const MAX_ERROR_BYTES = 124 - Buffer.byteLength(`${PREFIX}lastError`);
+
+export function parseLedger(appProperties) {
+  const props = appProperties || {};
+  const ledger = {
+    step: props[`${PREFIX}step`] || null,
+    updatedAt: props[`${PREFIX}updatedAt`] || null,
+    // Failed runs so far, see recordFailure
+    failures: Number(props[`${PREFIX}failures`]) || 0,
+    lastError: props[`${PREFIX}lastError`] || null,
+  };
+  for (const field of ID_FIELDS) {
+    ledger[field] = props[`${PREFIX}${field}`] || null;
+  }
+  ledger.partialFileId = props[PARTIAL_FIELD] || null;
+  ledger.translations = {};
+  for (const [key, value] of Object.entries(props)) {
+    if (key.startsWith(TRANSLATION_PREFIX) && value) ledger.translations[key.slice(TRANSLATION_PREFIX.length)] = value;
+  }
+  return ledger;
+}
+
+export async function readLedger(fileId) {
+  const drive = getDriveClient();
+  const res = await drive.files.get({ ...DRIVE_PARAMS, fileId, fields: "appProperties" });
+  return parseLedger(res.data.appProperties);
+}
+
+export function hasCompleted(ledger, step) {
+  if (!ledger.step) return false;
+  return STEPS.indexOf(ledger.step) >= STEPS.indexOf(step);
+}
+
+// Marks `step` as completed, together with any IDs produced by it.
+// Updates `ledger` in place so the caller can keep using it.
+export async function recordStep(fileId, ledger, step, data = {}) {
+  if (!STEPS.includes(step)) {
+    throw new Error(`Unknown processing step "${step}"`);
+  }
+
+  Object.assign(ledger, data, { step, updatedAt: new Date().toISOString() });
+
+  const appProperties = {
+    [`${PREFIX}step`]: ledger.step,
+    [`${PREFIX}updatedAt`]: ledger.updatedAt,
+  };
+  for (const field of ID_FIELDS) {
+    if (ledger[field]) appProperties[`${PREFIX}${field}`] = ledger[field];
+  }
+
+  await writeAppProperties(fileId, appProperties);
+  return ledger;
+}
+
+// Remembers where the translation into `language` ended up, so a rerun doesn't create it again
+export async function recordTranslation(fileId, ledger, language, ref) {
+  ledger.translations[language] = ref;
+  await writeAppProperties(fileId, { [`${TRANSLATION_PREFIX}${language}`]: ref });
+  return ledger;
+}
+
+// Remembers the partial transcript of a recording, or forgets it again with null
+export async function recordPartialTranscript(fileId, ledger, partialFileId) {
+  ledger.partialFileId = partialFileId;
+  await writeAppProperties(fileId, { [PARTIAL_FIELD]: partialFileId });
+  return ledger;
+}
+
+async function writeAppProperties(fileId, appProperties) {
+  const drive = getDriveClient();
+  await withRetry(() => drive.files.update({
+    ...DRIVE_PARAMS,
+    fileId,
+    requestBody: { appProperties },
+    fields: "id",
+  }), "Ledger update");
+}
+
+function truncateBytes(text, maxBytes) {
+  let result = text;
+  while (Buffer.byteLength(result) > maxBytes) result = result.slice(0, -1);
+  return result;
+}
+
+// Counts a failed run, so files that keep failing can be set aside
+export async function recordFailure(fileId, ledger, error) {
+  ledger.failures += 1;
+  ledger.lastError = truncateBytes((error.message || String(error)).replace(/\s+/g, " "), MAX_ERROR_BYTES);
+  await writeAppProperties(fileId, {
+    [`${PREFIX}failures`]: String(ledger.failures),
+    [`${PREFIX}lastError`]: ledger.lastError,
+  });
+  return ledger;
+}
+
+// Starts counting failures from zero again: after a success, when an operator retries the file,
+// and when it is quarantined, so a file moved back from the failed folder gets all its attempts
+export async function resetFailures(fileId, ledger) {
+  if (!ledger.failures && !ledger.lastError) return ledger;
+  ledger.failures = 0;
+  ledger.lastError = null;
+  // null removes the property
+  await writeAppProperties(fileId, { [`${PREFIX}failures`]: null, [`${PREFIX}lastError`]: null });
+  return ledger;
+}
@@ -0,0 +1,147 @@
+// lib/lock.js
+//
+// Locks that hold across processes, so serverless invocations running side by side can take
+// turns: the job worker lease (lib/jobs.js) and the budget's usage files (lib/budget.js).
+// A lock store keeps one entry per contender under a name:
+//   createLock(name, owner, until) -> { key, owner, createdAt, until }
+//   listLocks(name), renewLock(lock, until), deleteLock(lock)
+// createFileLocks keeps them as files in a directory, createDriveLocks as files in a Drive folder.
+import { randomUUID } from "crypto";
+import { performance } from "perf_hooks";
+import { mkdir, readFile, writeFile, readdir, unlink } from "fs/promises";
+import path from "path";
+import { getDriveClient, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { log } from "./log.js";
+
+// ======= STORES =======
+// One file per contender. Sub-millisecond creation times keep contenders apart that start
+// in the same millisecond.
+export function createFileLocks(dir) {
+  return {
+    async createLock(name, owner, until) {
+      await mkdir(dir, { recursive: true });
+      const lock = { key: `${name}.${owner}.lock`, owner, createdAt: performance.timeOrigin + performance.now(), until };
+      await writeFile(path.join(dir, lock.key), JSON.stringify(lock), { flag: "wx" });
+      return lock;
+    },
+    async listLocks(name) {
+      const names = (await readdir(dir)).filter((file) => file.startsWith(`${name}.`) && file.endsWith(".lock"));
+      const locks = await Promise.all(names.map(async (file) => {
+        try {
+          return JSON.parse(await readFile(path.join(dir, file), "utf8"));
+        } catch (error) {
+          // Released while we were reading
+          if (error.code === "ENOENT") return null;
+          throw error;
+        }
+      }));
+      return locks.filter(Boolean);
+    },
+    async renewLock(lock, until) {
+      await writeFile(path.join(dir, lock.key), JSON.stringify({ ...lock, until }));
+    },
+    async deleteLock(lock) {
+      try {
+        await unlink(path.join(dir, lock.key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+}
+
+// One empty file per contender. Drive sets createdTime, so all contenders order the locks by
+// the same clock.
+export function createDriveLocks(folderId) {
+  return {
+    async createLock(name, owner, until) {
+      const drive = getDriveClient();
+      const res = await drive.files.create({
+        ...DRIVE_PARAMS,
+        requestBody: { name: `lock-${name}`, parents: [folderId], appProperties: { lockOwner: owner, lockUntil: String(until) } },
+        fields: "id,createdTime",
+      });
+      return { key: res.data.id, owner, createdAt: new Date(res.data.createdTime).getTime(), until };
+    },
+    async listLocks(name) {
+      const drive = getDriveClient();
+      const res = await drive.files.list({
+        ...DRIVE_LIST_PARAMS,
+        q: `'${folderId}' in parents and name='lock-${name}' and trashed=false`,
+        fields: "files(id,createdTime,appProperties)",
+        pageSize: 100,
+      });
+      return (res.data.files || []).map((file) => ({
+        key: file.id,
+        owner: file.appProperties?.lockOwner,
+        createdAt: new Date(file.createdTime).getTime(),
+        until: Number(file.appProperties?.lockUntil) || 0,
+      }));
+    },
+    async renewLock(lock, until) {
+      const drive = getDriveClient();
+      await drive.files.update({ ...DRIVE_PARAMS, fileId: lock.key, requestBody: { appProperties: { lockUntil: String(until) } }, fields: "id" });
+    },
+    async deleteLock(lock) {
+      const drive = getDriveClient();
+      try {
+        await drive.files.delete({ ...DRIVE_PARAMS, fileId: lock.key });
+      } catch (error) {
+        if (error.code !== 404) throw error;
+      }
+    },
+  };
+}
+
+// ======= LOCKING =======
+// Takes the lock `name` for `owner` for ttlMs, or returns null when someone else holds it.
+// Reading, seeing no lock and saving one isn't enough: two contenders started together would
+// both do it. Instead every contender creates a lock of its own and then reads all locks back.
+// They all see the same locks, and only the oldest one that hasn't expired wins; the others
+// remove theirs. Locks of contenders that died are cleared on the way.
+export async function acquireLock(store, name, owner, ttlMs) {
+  const lock = await store.createLock(name, owner, Date.now() + ttlMs);
+  const now = Date.now();
+  const locks = await store.listLocks(name);
+  if (!locks.some((other) => other.key === lock.key)) locks.push(lock);
+
+  const live = [];
+  for (const other of locks) {
+    if (other.key === lock.key || other.until > now) {
+      live.push(other);
+    } else {
+      await store.deleteLock(other).catch((error) => log.warn(`Could not remove an expired lock of ${name}`, error));
+    }
+  }
+  live.sort((a, b) => a.createdAt - b.createdAt || String(a.key).localeCompare(String(b.key)));
+  if (live[0].key === lock.key) return lock;
+
+  await store.deleteLock(lock);
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs fn while holding the lock `name`, waiting up to waitMs for it. fn should take well
+// under ttlMs: after that the lock counts as left behind by a contender that died.
+export async function withLock(store, name, fn, { ttlMs, waitMs }) {
+  const owner = randomUUID();
+  const deadline = Date.now() + waitMs;
+  let lock;
+  while (!(lock = await acquireLock(store, name, owner, ttlMs))) {
+    if (Date.now() >= deadline) {
+      const error = new Error(`Timed out after ${Math.round(waitMs / 1000)}s waiting for the lock on ${name}`);
+      error.retryable = true;
+      throw error;
+    }
+    // Random, so contenders that lost together don't all come back together
+    await sleep(200 + Math.random() * 800);
+  }
+  try {
+    return await fn();
+  } finally {
+    await store.deleteLock(lock).catch((error) => log.warn(`Could not release the lock of ${name}`, error));
+  }
+}
@@ -0,0 +1,69 @@
+// lib/log.js
+//
+// Structured logging. Every line is one JSON object with the time, level and message, plus the
+// run and file it belongs to, so a single run or file can be followed through interleaved workers:
+//   {"time":"...","level":"info","msg":"Creating Google Doc...","runId":"9f1c...","fileId":"1AbC...","fileName":"sync.m4a"}
+// The context is set once with withLogContext and follows the async calls made inside it, so
+// helpers deep in the pipeline don't have to pass it around. Errors are logged as
+// { message, name, code, status, step }, never as whole objects with request and response.
+// LOG_FORMAT=pretty prints readable lines instead (the CLI's default); LOG_LEVEL (debug, info,
+// warn, error; default info) hides the levels below it, and LOG_LEVEL=silent hides everything.
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+export function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  const status = error.status ?? error.response?.status ?? error.upstreamStatus;
+  return {
+    message: error.message,
+    name: error.name !== "Error" ? error.name : undefined,
+    code: error.code ?? undefined,
+    status: status ?? undefined,
+    step: error.step,
+  };
+}
+
+// Runs fn with these fields added to every line it logs, on top of the surrounding context
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+function pretty(entry) {
+  const { time, level, msg, runId, fileName, fileId, ...fields } = entry;
+  const where = [runId && runId.slice(0, 8), fileName || fileId].filter(Boolean).join(" ");
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join(" ");
+  return `${level === "info" ? "" : `${level.toUpperCase()} `}${where ? `[${where}] ` : ""}${msg}${extra ? ` ${extra}` : ""}`;
+}
+
+// `fields` is an object of extra keys, or an Error (logged under "error")
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel()) return;
+  const extra = fields instanceof Error ? { error: fields } : fields || {};
+  if (extra.error) extra.error = serializeError(extra.error);
+
+  const entry = { time: new Date().toISOString(), level, msg, ...getLogContext(), ...extra };
+  const line = process.env.LOG_FORMAT === "pretty" ? pretty(entry) : JSON.stringify(entry);
+  // Through console, so the platform keeps its levels and the CLI can send them to stderr
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
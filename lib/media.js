@@ -0,0 +1,135 @@
+// lib/media.js
+//
+// Works out what a downloaded recording really is from its first bytes, rather
+// than trusting the file name or Drive's MIME type, and turns it into something
+// the transcription API accepts. Formats the API rejects (AMR, WMA, Opus in
+// WebM, ...) are transcoded with ffmpeg, and for video files only the audio
+// track is extracted.
+import path from "path";
+import { withTempDir, writeTempAudio, probeStreams, encodeMp3 } from "./audio.js";
+import { log } from "./log.js";
+
+// File extensions of the audio and video formats detectFormat knows
+export const MEDIA_EXTENSIONS = [
+  ".mp3", ".wav", ".m4a", ".mp4", ".ogg", ".flac", ".opus", ".webm", ".amr",
+  ".wma", ".aac", ".3gp", ".mov", ".mkv", ".caf",
+];
+
+// Containers the transcription API accepts as they are
+const ACCEPTED = new Set(["mp3", "wav", "flac", "m4a", "mp4", "ogg"]);
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString("latin1");
+}
+
+function includesAscii(buffer, text, limit = 4096) {
+  return buffer.subarray(0, limit).includes(Buffer.from(text, "latin1"));
+}
+
+// Returns { format, mimeType, extension, mayContainVideo } or null for unknown data
+export function detectFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (ascii(buffer, 0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)) {
+    return { format: "mp3", mimeType: "audio/mpeg", extension: ".mp3" };
+  }
+  // AAC in ADTS frames (sync word 0xFFF, layer 0)
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) {
+    return { format: "aac", mimeType: "audio/aac", extension: ".aac" };
+  }
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WAVE") {
+    return { format: "wav", mimeType: "audio/wav", extension: ".wav" };
+  }
+  if (ascii(buffer, 0, 4) === "fLaC") {
+    return { format: "flac", mimeType: "audio/flac", extension: ".flac" };
+  }
+  if (ascii(buffer, 0, 4) === "OggS") {
+    // Opus in Ogg is not reliably accepted, Vorbis is
+    return includesAscii(buffer, "OpusHead")
+      ? { format: "ogg-opus", mimeType: "audio/ogg", extension: ".opus" }
+      : { format: "ogg", mimeType: "audio/ogg", extension: ".ogg" };
+  }
+  if (ascii(buffer, 0, 5) === "#!AMR") {
+    return { format: "amr", mimeType: "audio/amr", extension: ".amr" };
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]))) {
+    return { format: "asf", mimeType: "audio/x-ms-wma", extension: ".wma", mayContainVideo: true };
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+    return includesAscii(buffer, "webm")
+      ? { format: "webm", mimeType: "video/webm", extension: ".webm", mayContainVideo: true }
+      : { format: "matroska", mimeType: "video/x-matroska", extension: ".mkv", mayContainVideo: true };
+  }
+  if (ascii(buffer, 0, 4) === "caff") {
+    return { format: "caf", mimeType: "audio/x-caf", extension: ".caf" };
+  }
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    const brand = ascii(buffer, 8, 12);
+    if (brand.startsWith("3g")) {
+      return { format: "3gp", mimeType: "video/3gpp", extension: ".3gp", mayContainVideo: true };
+    }
+    if (brand === "qt  ") {
+      return { format: "mov", mimeType: "video/quicktime", extension: ".mov", mayContainVideo: true };
+    }
+    if (brand === "M4A " || brand === "M4B ") {
+      return { format: "m4a", mimeType: "audio/mp4", extension: ".m4a" };
+    }
+    return { format: "mp4", mimeType: "video/mp4", extension: ".mp4", mayContainVideo: true };
+  }
+  return null;
+}
+
+// Returns { buffer, fileName, mimeType, format, transcoded } ready for transcription
+export async function prepareAudio(buffer, fileName) {
+  const detected = detectFormat(buffer);
+  if (!detected) {
+    throw new Error(
+      `Unsupported format for "${fileName}": the file is not a recognised audio or video container. ` +
+      `Supported are MP3, WAV, FLAC, M4A/MP4, Ogg, AAC, AMR, WMA, WebM, MKV, MOV, 3GP and CAF.`
+    );
+  }
+
+  const baseName = path.parse(fileName).name;
+  const needsCheck = detected.mayContainVideo || !ACCEPTED.has(detected.format);
+  if (!needsCheck) {
+    return { buffer, fileName: baseName + detected.extension, ...detected, transcoded: false };
+  }
+
+  return withTempDir(async (dir) => {
+    const inputPath = await writeTempAudio(dir, buffer, baseName + detected.extension);
+
+    let streams;
+    try {
+      streams = await probeStreams(inputPath);
+    } catch (probeError) {
+      throw new Error(`Unsupported format for "${fileName}" (${detected.format}): ffprobe could not read it. ${probeError.message}`);
+    }
+
+    const audio = streams.filter((stream) => stream.codec_type === "audio");
+    const hasVideo = streams.some((stream) => stream.codec_type === "video" && stream.disposition?.attached_pic !== 1);
+    if (!audio.length) {
+      throw new Error(`Unsupported format for "${fileName}" (${detected.format}): the file contains no audio track.`);
+    }
+
+    // An MP4 without a video track (e.g. AAC audio only) can be uploaded as it is
+    const codec = audio[0].codec_name;
+    if (!hasVideo && ACCEPTED.has(detected.format)) {
+      return { buffer, fileName: baseName + detected.extension, ...detected, codec, transcoded: false };
+    }
+
+    log.info(
+      `Transcoding "${fileName}" (${detected.format}/${codec}${hasVideo ? ", with video" : ""}) to MP3...`
+    );
+    const outputBuffer = await encodeMp3(inputPath, path.join(dir, "converted.mp3"));
+    return {
+      buffer: outputBuffer,
+      fileName: `${baseName}.mp3`,
+      format: "mp3",
+      mimeType: "audio/mpeg",
+      extension: ".mp3",
+      originalFormat: detected.format,
+      codec,
+      transcoded: true,
+    };
+  });
+}
@@ -0,0 +1,239 @@
+// lib/notify.js
+//
+// Notifications when a run has finished, listing the Docs created and the files that failed.
+// Targets are a JSON array in NOTIFY_TARGETS, or per pipeline in "notify":
+//
+//   NOTIFY_TARGETS='[{"type":"webhook","url":"https://example.com/hooks/transcripts"},
+//                    {"type":"slack","url":"https://hooks.slack.com/services/..."},
+//                    {"type":"teams","url":"https://...webhook.office.com/..."},
+//                    {"type":"email","to":"team@example.com","on":"failures"}]'
+//
+// Every target takes an optional "template": the JSON body for webhooks, the message text for
+// slack/teams/email (plus "subject" for email), with {placeholders} such as {pipeline},
+// {processed}, {failed}, {docList} and {failureList}. Email is sent with lib/smtp.js.
+import { withRetry } from "./errors.js";
+import { sendMail } from "./smtp.js";
+import { log } from "./log.js";
+
+const ATTEMPTS = Number(process.env.NOTIFY_RETRY_ATTEMPTS) || 3;
+const TIMEOUT_MS = (Number(process.env.NOTIFY_TIMEOUT_SECONDS) || 10) * 1000;
+const TYPES = ["webhook", "slack", "teams", "email"];
+
+const DEFAULT_SUBJECT = "Transcription {pipeline}: {processed} processed, {failed} failed";
+const DEFAULT_TEXT = {
+  slack: "*Transcription run finished: {pipeline}*\n{processed} processed, {failed} failed\n{docList}\n{failureList}",
+  teams: "**Transcription run finished: {pipeline}**\n\n{processed} processed, {failed} failed\n\n{docList}\n\n{failureList}",
+  email: "Transcription run finished for {pipeline}: {processed} processed, {failed} failed.\n\n{docList}\n\n{failureList}\n",
+};
+
+let cachedTargets = null;
+
+function parseTargets(value, source) {
+  let raw;
+  try {
+    raw = typeof value === "string" ? JSON.parse(value) : value;
+  } catch (e) {
+    throw new Error(`Failed to parse ${source}: ${e.message}`);
+  }
+  if (!Array.isArray(raw)) {
+    throw new Error(`${source} must be a JSON array of notification targets`);
+  }
+
+  return raw.map((target, index) => {
+    const label = target.name || `${target.type} #${index + 1}`;
+    if (!TYPES.includes(target.type)) {
+      throw new Error(`Notification target ${label} has unknown type "${target.type}". Use ${TYPES.join(", ")}.`);
+    }
+    if (target.type === "email" ? !target.to : !target.url) {
+      throw new Error(`Notification target ${label} is missing "${target.type === "email" ? "to" : "url"}"`);
+    }
+    if (target.on && target.on !== "always" && target.on !== "failures") {
+      throw new Error(`Notification target ${label} has "on": "${target.on}". Use "always" or "failures".`);
+    }
+    return {
+      ...target,
+      name: label,
+      on: target.on || "always",
+      to: typeof target.to === "string" ? target.to.split(",").map((address) => address.trim()).filter(Boolean) : target.to,
+    };
+  });
+}
+
+// The pipeline's own targets, or NOTIFY_TARGETS
+export function getNotifyTargets(pipeline) {
+  if (pipeline?.notify) return parseTargets(pipeline.notify, `pipeline "${pipeline.id}" notify`);
+  if (!cachedTargets) {
+    cachedTargets = process.env.NOTIFY_TARGETS ? parseTargets(process.env.NOTIFY_TARGETS, "NOTIFY_TARGETS") : [];
+  }
+  return cachedTargets;
+}
+
+// ======= MESSAGES =======
+// Docs and failures of a run, from job file entries or processFile results
+export function buildRunReport({ pipeline, jobId = null, results }) {
+  const docs = results
+    .filter((result) => result.status === "success")
+    .map((result) => ({
+      fileId: result.fileId || null,
+      fileName: result.fileName,
+      docUrl: result.docUrl || null,
+      translations: (result.translations || []).map(({ language, url }) => ({ language, url })),
+    }));
+  const failures = results
+    .filter((result) => result.status === "error")
+    .map((result) => ({
+      fileId: result.fileId || null,
+      fileName: result.fileName,
+      step: result.step || null,
+      error: result.error,
+      quarantined: Boolean(result.quarantined),
+    }));
+
+  const overBudget = results
+    .filter((result) => result.status === "budget_exceeded")
+    .map((result) => ({ fileId: result.fileId || null, fileName: result.fileName, error: result.error }));
+
+  return {
+    event: "run.finished",
+    pipeline: pipeline.name,
+    pipelineId: pipeline.id,
+    jobId,
+    finishedAt: new Date().toISOString(),
+    total: results.length,
+    processed: docs.length,
+    failed: failures.length,
+    overBudget: overBudget.length,
+    docs,
+    failures,
+    // Left in the input folder until the budget has room again
+    overBudgetFiles: overBudget,
+  };
+}
+
+const LINK_FORMATS = {
+  slack: (text, url) => `<${url}|${text.replace(/[<>|]/g, "")}>`,
+  teams: (text, url) => `[${text.replace(/[[\]]/g, "")}](${url})`,
+  email: (text, url) => `${text}: ${url}`,
+  webhook: (text, url) => `${text}: ${url}`,
+};
+
+// Template values; the lists are formatted for the target's kind of message
+function templateValues(report, type) {
+  const link = LINK_FORMATS[type];
+  const bullet = type === "email" || type === "webhook" ? "-" : "•";
+  const docLines = report.docs.map((doc) =>
+    `${bullet} ${doc.docUrl ? link(doc.fileName, doc.docUrl) : doc.fileName}` +
+    doc.translations.map((translation) => ` | ${link(translation.language.toUpperCase(), translation.url)}`).join("")
+  );
+  const failureLines = report.failures.map(
+    (failure) => `${bullet} ${failure.fileName}: ${failure.step ? `${failure.step}: ` : ""}${failure.error}` +
+      (failure.quarantined ? " (moved to the failed folder)" : "")
+  );
+  const separator = type === "teams" ? "\n\n" : "\n";
+
+  return {
+    ...report,
+    docList: docLines.length ? `Docs created:${separator}${docLines.join(separator)}` : "",
+    failureList: failureLines.length ? `Failed:${separator}${failureLines.join(separator)}` : "",
+  };
+}
+
+// "{processed} processed" -> "3 processed"; unknown placeholders are left alone
+export function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = values[key];
+    if (value === undefined) return match;
+    return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+  });
+}
+
+// Renders every string in a JSON template. A string that is only "{docs}" becomes the value
+// itself, so lists and numbers stay JSON instead of turning into text.
+function renderJsonTemplate(template, values) {
+  if (typeof template === "string") {
+    const whole = template.match(/^\{(\w+)\}$/);
+    if (whole && values[whole[1]] !== undefined) return values[whole[1]];
+    return renderTemplate(template, values);
+  }
+  if (Array.isArray(template)) return template.map((item) => renderJsonTemplate(item, values));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderJsonTemplate(value, values)]));
+  }
+  return template;
+}
+
+// Empty lists leave blank lines behind in the default texts
+function tidy(text) {
+  return text.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// ======= DELIVERY =======
+async function postJson(url, body, headers = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (error) {
+    // Unreachable or too slow: worth another try
+    error.retryable = true;
+    throw error;
+  }
+  if (!res.ok) {
+    const error = new Error(`${url} answered ${res.status}: ${(await res.text().catch(() => "")).slice(0, 200)}`);
+    error.status = res.status;
+    error.headers = res.headers;
+    throw error;
+  }
+}
+
+async function deliver(target, report) {
+  const values = templateValues(report, target.type);
+
+  if (target.type === "webhook") {
+    const body = target.template ? renderJsonTemplate(target.template, values) : report;
+    return postJson(target.url, body, target.headers);
+  }
+  if (target.type === "slack" || target.type === "teams") {
+    // Both accept { "text": ... }; a template can also be a whole JSON payload (blocks, cards)
+    const body = target.template && typeof target.template === "object"
+      ? renderJsonTemplate(target.template, values)
+      : { text: tidy(renderTemplate(target.template || DEFAULT_TEXT[target.type], values)) };
+    return postJson(target.url, body, target.headers);
+  }
+  return sendMail({
+    to: target.to,
+    from: target.from,
+    subject: renderTemplate(target.subject || DEFAULT_SUBJECT, values),
+    text: tidy(renderTemplate(target.template || DEFAULT_TEXT.email, values)) + "\n",
+  });
+}
+
+// Sends the report to every target of the pipeline. Failed deliveries are retried, and
+// never thrown: the outcome per target is returned (and stored on the job).
+export async function notifyRunFinished({ pipeline, jobId, results }) {
+  const targets = getNotifyTargets(pipeline);
+  const report = buildRunReport({ pipeline, jobId, results });
+
+  const deliveries = [];
+  for (const target of targets) {
+    if (target.on === "failures" && !report.failed) continue;
+
+    let attempts = 0;
+    try {
+      await withRetry(() => {
+        attempts++;
+        return deliver(target, report);
+      }, `Notification ${target.name}`, { attempts: ATTEMPTS });
+      log.info(`Notified ${target.name} (${target.type})`);
+      deliveries.push({ target: target.name, type: target.type, status: "sent", attempts });
+    } catch (error) {
+      log.error(`Notification ${target.name} (${target.type}) failed after ${attempts} attempt(s)`, error);
+      deliveries.push({ target: target.name, type: target.type, status: "failed", attempts, error: error.message });
+    }
+  }
+  return deliveries;
+}
@@ -0,0 +1,42 @@
+// lib/openai.js
+import OpenAI from "openai";
+
+// Retries are left to withRetry (see lib/errors.js), which follows RETRY_ATTEMPTS and its backoff.
+// The SDK's own 2 retries and 10 minute timeout would multiply them and outlast the worker's time budget.
+const TIMEOUT_MS = (Number(process.env.OPENAI_TIMEOUT_SECONDS) || 120) * 1000;
+
+let cachedClient = null;
+
+// Created on first use, so routes that never call OpenAI (or use another provider) don't need the key
+export function getOpenAIClient() {
+  if (cachedClient) return cachedClient;
+
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("OPENAI_API_KEY environment variable is not set. Please add it in Vercel project settings.");
+  }
+
+  // Validate API key format (should start with sk-)
+  if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
+    throw new Error("OPENAI_API_KEY appears to be invalid. OpenAI API keys should start with 'sk-'. Please check your API key in Vercel project settings.");
+  }
+
+  cachedClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0, timeout: TIMEOUT_MS });
+  return cachedClient;
+}
+
+export function describeOpenAIKeyError(error) {
+  return new Error(
+    `OpenAI API key error: ${error.message}\n\n` +
+    `To fix this:\n` +
+    `1. Go to https://platform.openai.com/account/api-keys\n` +
+    `2. Create a new API key or copy your existing one\n` +
+    `3. In Vercel, go to your project → Settings → Environment Variables\n` +
+    `4. Update the OPENAI_API_KEY variable with the new key\n` +
+    `5. Redeploy or wait for the next deployment\n\n` +
+    `Make sure the API key starts with "sk-" and has no extra spaces or quotes.`
+  );
+}
+
+export function isOpenAIKeyError(error) {
+  return error.status === 401 || error.message.includes('API key') || error.message.includes('Incorrect API key');
+}
@@ -0,0 +1,165 @@
+// lib/pipeline-config.js
+//
+// A pipeline is one input/output folder pair with its own transcription settings.
+// Pipelines are configured as a JSON array in PIPELINES:
+//
+//   PIPELINES='[{"id":"sales","name":"Sales NL","inputFolderId":"...","outputFolderId":"...",
+//                "language":"nl","model":"whisper-1","prompt":"Becon, offerte, ...",
+//                "docTitleTemplate":"{date} {name} - Transcript","summary":true,
+//                "failedFolderId":"...","recursive":true,"glossaryId":"...",
+//                "notify":[{"type":"slack","url":"..."}],
+//                "translations":["en"],"translationOutput":"doc","translationMethod":"text",
+//                "redaction":true,"redactionFolderId":"...","redactionNames":["Jan de Vries"]}]'
+//
+// Without PIPELINES a single "default" pipeline is built from INPUT_FOLDER_ID / OUTPUT_FOLDER_ID.
+
+const DEFAULT_TITLE_TEMPLATE = "{name} - Transcript";
+const TRANSLATION_OUTPUTS = ["doc", "section"];
+const TRANSLATION_METHODS = ["text", "audio"];
+
+// ["en", "de"] from an array or "en,de"; codes end up in Drive property keys, so they are checked
+function parseLanguages(value, label) {
+  if (!value) return [];
+  const codes = (Array.isArray(value) ? value : String(value).split(","))
+    .map((code) => String(code).trim())
+    .filter(Boolean);
+  for (const code of codes) {
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code)) {
+      throw new Error(`${label} has "${code}" as translation language. Use language codes like "en" or "pt-BR".`);
+    }
+  }
+  return [...new Set(codes)];
+}
+
+let cachedPipelines = null;
+
+function normalizePipeline(raw, index) {
+  const label = raw.id || `#${index + 1}`;
+  if (!raw.id) {
+    throw new Error(`Pipeline ${label} in PIPELINES is missing "id"`);
+  }
+  if (!raw.inputFolderId) {
+    throw new Error(`Pipeline "${label}" is missing "inputFolderId"`);
+  }
+  if (!raw.outputFolderId) {
+    throw new Error(`Pipeline "${label}" is missing "outputFolderId"`);
+  }
+
+  const translationOutput = raw.translationOutput || process.env.TRANSLATION_OUTPUT || "doc";
+  if (!TRANSLATION_OUTPUTS.includes(translationOutput)) {
+    throw new Error(`Pipeline "${label}" has translationOutput "${translationOutput}". Use ${TRANSLATION_OUTPUTS.join(" or ")}.`);
+  }
+  const translationMethod = raw.translationMethod || process.env.TRANSLATION_METHOD || "text";
+  if (!TRANSLATION_METHODS.includes(translationMethod)) {
+    throw new Error(`Pipeline "${label}" has translationMethod "${translationMethod}". Use ${TRANSLATION_METHODS.join(" or ")}.`);
+  }
+
+  const redaction = typeof raw.redaction === "boolean" ? raw.redaction : process.env.REDACTION_ENABLED === "true";
+  const redactionFolderId = raw.redactionFolderId || process.env.REDACTION_FOLDER_ID || null;
+  if (redaction && !redactionFolderId) {
+    throw new Error(`Pipeline "${label}" redacts transcripts but has no redactionFolderId (or REDACTION_FOLDER_ID) for the unredacted copies`);
+  }
+  if (redaction && redactionFolderId === raw.outputFolderId) {
+    throw new Error(`Pipeline "${label}" uses its output folder as redactionFolderId; unredacted copies need a restricted folder of their own`);
+  }
+
+  return {
+    id: String(raw.id),
+    name: raw.name || String(raw.id),
+    inputFolderId: raw.inputFolderId,
+    outputFolderId: raw.outputFolderId,
+    // Unset values fall back to the provider defaults
+    language: raw.language || null,
+    model: raw.model || null,
+    prompt: raw.prompt || null,
+    docTitleTemplate: raw.docTitleTemplate || DEFAULT_TITLE_TEMPLATE,
+    // Google Doc copied for every transcript, with {{placeholders}} (see lib/template.js); unset falls back to DOC_TEMPLATE_ID
+    docTemplateId: raw.docTemplateId || null,
+    // Meeting notes above the transcript; unset falls back to SUMMARY_ENABLED
+    summary: typeof raw.summary === "boolean" ? raw.summary : null,
+    // Files that keep failing are moved here; unset falls back to FAILED_FOLDER_ID
+    failedFolderId: raw.failedFolderId || process.env.FAILED_FOLDER_ID || null,
+    // Also pick up recordings in subfolders, mirroring them in the output folder; unset falls back to DRIVE_RECURSIVE
+    recursive: typeof raw.recursive === "boolean" ? raw.recursive : process.env.DRIVE_RECURSIVE === "true",
+    // Google Doc/Sheet with terms for the prompt and corrections (see lib/glossary.js); unset falls back to GLOSSARY_ID
+    glossaryId: raw.glossaryId || null,
+    // Notification targets when a run finishes (see lib/notify.js); unset falls back to NOTIFY_TARGETS
+    notify: raw.notify || null,
+    // Languages to translate transcripts into (see lib/translation.js); unset falls back to TRANSLATION_LANGUAGES
+    translations: raw.translations !== undefined
+      ? parseLanguages(raw.translations, `Pipeline "${label}"`)
+      : parseLanguages(process.env.TRANSLATION_LANGUAGES, "TRANSLATION_LANGUAGES"),
+    // "doc": a Doc per language next to the transcript, "section": sections at the end of the transcript Doc
+    translationOutput,
+    translationMethod,
+    // Mask personal data before the Doc is written (see lib/redaction.js); unset falls back to REDACTION_ENABLED.
+    // The unredacted transcript goes to redactionFolderId, which only a few people should be able to open.
+    redaction,
+    redactionFolderId,
+    redactionNames: Array.isArray(raw.redactionNames) ? raw.redactionNames.map(String) : [],
+  };
+}
+
+export function getPipelines() {
+  if (cachedPipelines) return cachedPipelines;
+
+  if (process.env.PIPELINES) {
+    let raw;
+    try {
+      raw = JSON.parse(process.env.PIPELINES);
+    } catch (e) {
+      throw new Error("Failed to parse PIPELINES: " + e.message);
+    }
+    if (!Array.isArray(raw) || !raw.length) {
+      throw new Error("PIPELINES must be a non-empty JSON array");
+    }
+
+    const pipelines = raw.map(normalizePipeline);
+    const ids = new Set();
+    for (const pipeline of pipelines) {
+      if (ids.has(pipeline.id)) {
+        throw new Error(`Pipeline id "${pipeline.id}" is used more than once in PIPELINES`);
+      }
+      ids.add(pipeline.id);
+    }
+    cachedPipelines = pipelines;
+    return cachedPipelines;
+  }
+
+  if (!process.env.INPUT_FOLDER_ID) {
+    throw new Error("INPUT_FOLDER_ID is niet gezet");
+  }
+  if (!process.env.OUTPUT_FOLDER_ID) {
+    throw new Error("OUTPUT_FOLDER_ID is niet gezet");
+  }
+  cachedPipelines = [normalizePipeline({
+    id: "default",
+    inputFolderId: process.env.INPUT_FOLDER_ID,
+    outputFolderId: process.env.OUTPUT_FOLDER_ID,
+    language: process.env.TRANSCRIPTION_LANGUAGE,
+    prompt: process.env.TRANSCRIPTION_PROMPT,
+  }, 0)];
+  return cachedPipelines;
+}
+
+export function getPipeline(id) {
+  return getPipelines().find((pipeline) => pipeline.id === id) || null;
+}
+
+// All pipelines, or only the one named in `id` (null when there is no such pipeline)
+export function selectPipelines(id) {
+  if (!id) return getPipelines();
+  const pipeline = getPipeline(id);
+  return pipeline ? [pipeline] : null;
+}
+
+// "{date} {name} - Transcript" -> "2024-05-01 weekly-sync - Transcript"
+export function renderDocTitle(pipeline, file) {
+  const values = {
+    name: file.name.replace(/\.[^/.]+$/, ""),
+    fileName: file.name,
+    date: (file.createdTime || new Date().toISOString()).slice(0, 10),
+    pipeline: pipeline.name,
+  };
+  return pipeline.docTitleTemplate.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
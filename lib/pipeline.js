@@ -0,0 +1,1349 @@
+// lib/pipeline.js
+//
+// The processing steps for a single recording (download, transcribe, create Doc,
+// upload subtitles, move), shared by the API routes.
+import { getDriveClient, getDocsClient, actsAsUser, describeAccount, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { withTempDir, writeTempAudio, probeDuration, extractChunk } from "./audio.js";
+import {
+  planChunks,
+  stitchChunks,
+  groupIntoTurns,
+  renderTurns,
+  formatTimestamp,
+  turnsToBlocks,
+  paragraphsToBlocks,
+} from "./transcript.js";
+import { diarize, assignSpeakers } from "./diarization.js";
+import { toSrt, toVtt } from "./subtitles.js";
+import {
+  parseLedger,
+  hasCompleted,
+  recordStep,
+  recordFailure,
+  recordTranslation,
+  recordPartialTranscript,
+  resetFailures,
+} from "./ledger.js";
+import { getTranscriptionProvider } from "./transcription.js";
+import { renderDocTitle } from "./pipeline-config.js";
+import { writeBlocks, textToBlocks, findHeadings } from "./document.js";
+import { isSummaryEnabled, summarizeTranscript, summaryToBlocks, formatActionItem } from "./summary.js";
+import { prepareAudio, MEDIA_EXTENSIONS } from "./media.js";
+import { getGlossaryId, loadGlossary, glossaryPrompt, applyCorrections } from "./glossary.js";
+import {
+  languageName,
+  isSameLanguage,
+  canTranslateAudio,
+  translateTranscript,
+  turnsFromTranslatedSegments,
+  translationHeading,
+} from "./translation.js";
+import { redactTranscript, describeRedaction } from "./redaction.js";
+import { StepError, runStep, withRetry, toStepError } from "./errors.js";
+import { log, withLogContext } from "./log.js";
+import { reserveBudget, settleBudget } from "./budget.js";
+import { getTemplateId, createDocFromTemplate } from "./template.js";
+import path from "path";
+import { Readable } from "stream";
+
+// ======= TRANSCRIPTION LIMITS =======
+// Longer recordings are split into chunks of this length, overlapping so no words are cut in half
+const CHUNK_SECONDS = Number(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 600;
+const CHUNK_OVERLAP_SECONDS = Number(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS) || 15;
+
+// ======= HELPERS =======
+const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+
+// Values in Drive queries are single-quoted, with \ and ' escaped
+function quoteQuery(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+// Audio and video files directly in a folder, matched by MIME type or extension in one query.
+// MP3 files alone come as audio/mpeg, audio/mp3, audio/x-mpeg, ...; video files are
+// included too, their audio track gets transcribed (see lib/media.js)
+function mediaQuery(folderId) {
+  const matches = [
+    "mimeType contains 'audio/'",
+    "mimeType contains 'video/'",
+    ...MEDIA_EXTENSIONS.map((ext) => `name contains ${quoteQuery(ext)}`),
+  ];
+  return `${quoteQuery(folderId)} in parents and trashed = false and (${matches.join(" or ")})`;
+}
+
+// files.list over all pages
+async function listAllFiles(params) {
+  const drive = getDriveClient();
+  const files = [];
+  let pageToken;
+  do {
+    const res = await withRetry(() => drive.files.list({
+      ...DRIVE_LIST_PARAMS,
+      ...params,
+      fields: `nextPageToken, files(${params.fields})`,
+      pageSize: 1000,
+      pageToken,
+    }), "File listing");
+    files.push(...(res.data.files || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+  return files;
+}
+
+// A folder and all folders below it: [{ id, path }], path "" for the root and "2024/05" below it
+export async function listFolderTree(rootId) {
+  const folders = [{ id: rootId, path: "" }];
+  const seen = new Set([rootId]);
+  // Breadth first; folders is extended while it is walked
+  for (let i = 0; i < folders.length; i++) {
+    const children = await listAllFiles({
+      q: `${quoteQuery(folders[i].id)} in parents and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+      fields: "id,name",
+      orderBy: "name",
+    });
+    for (const child of children) {
+      // A folder can have shortcuts or multiple parents pointing back up
+      if (seen.has(child.id)) continue;
+      seen.add(child.id);
+      folders.push({ id: child.id, path: folders[i].path ? `${folders[i].path}/${child.name}` : child.name });
+    }
+  }
+  return folders;
+}
+
+// Audio files in a folder, and with `recursive` in all of its subfolders.
+// Every file gets folderPath: where it sits below folderId ("" directly in it)
+export async function listAudioFiles(folderId, { recursive = false } = {}) {
+  const folders = recursive ? await listFolderTree(folderId) : [{ id: folderId, path: "" }];
+
+  const allFiles = [];
+  for (const folder of folders) {
+    const files = await listAllFiles({
+      q: mediaQuery(folder.id),
+      fields: "id,name,mimeType,createdTime,parents,appProperties",
+      orderBy: "createdTime desc",
+    });
+    allFiles.push(...files.map((file) => ({ ...file, folderPath: folder.path })));
+  }
+
+  // Log what we found for debugging
+  log.debug(`Found ${allFiles.length} file(s) in folder ${folderId}${recursive ? ` and ${folders.length - 1} subfolder(s)` : ""}`, {
+    files: allFiles.map(f => ({ name: f.name, mimeType: f.mimeType, id: f.id, folderPath: f.folderPath || undefined })),
+  });
+
+  return allFiles;
+}
+
+// Where a file sits below rootId, e.g. "2024/05", found by walking up its parents.
+// null when the file is not below rootId at all (any more).
+export async function resolveFolderPath(file, rootId) {
+  const drive = getDriveClient();
+  const parts = [];
+  let parentId = (file.parents || [])[0];
+  // Drive folders can't nest endlessly, but a cycle through shortcuts shouldn't hang a run
+  for (let depth = 0; parentId && depth < 50; depth++) {
+    if (parentId === rootId) return parts.join("/");
+    const res = await withRetry(() => drive.files.get({
+      ...DRIVE_PARAMS,
+      fileId: parentId,
+      fields: "id,name,parents",
+    }), "Folder lookup");
+    parts.unshift(res.data.name);
+    parentId = (res.data.parents || [])[0];
+  }
+  return null;
+}
+
+// Folders being looked up or created, so files processed side by side don't create the same folder twice
+const pendingFolders = new Map();
+
+// Finds or creates the folder at `folderPath` below rootId and returns its ID
+export function ensureFolderPath(rootId, folderPath) {
+  const key = `${rootId}/${folderPath}`;
+  if (!pendingFolders.has(key)) {
+    const lookup = findOrCreateFolderPath(rootId, folderPath);
+    pendingFolders.set(key, lookup);
+    // Only failures are forgotten; found folders stay cached for the lifetime of the function instance
+    lookup.catch(() => pendingFolders.delete(key));
+  }
+  return pendingFolders.get(key);
+}
+
+async function findOrCreateFolderPath(rootId, folderPath) {
+  const drive = getDriveClient();
+  let parentId = rootId;
+  for (const name of (folderPath || "").split("/").filter(Boolean)) {
+    const existing = await listAllFiles({
+      q: `${quoteQuery(parentId)} in parents and name = ${quoteQuery(name)} and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+      fields: "id",
+    });
+    if (existing.length) {
+      parentId = existing[0].id;
+      continue;
+    }
+    log.info(`Creating output folder "${name}"...`);
+    const created = await withRetry(() => drive.files.create({
+      ...DRIVE_PARAMS,
+      requestBody: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] },
+      fields: "id",
+    }), "Folder create");
+    parentId = created.data.id;
+  }
+  return parentId;
+}
+
+export async function downloadFile(fileId) {
+  const drive = getDriveClient();
+  try {
+    const res = await withRetry(() => drive.files.get(
+      { ...DRIVE_PARAMS, fileId, alt: "media" },
+      { responseType: "arraybuffer" }
+    ), "Download");
+    return Buffer.from(res.data);
+  } catch (error) {
+    if (error.code === 403 || error.message.includes('permission')) {
+      throw new Error(
+        `Permission denied downloading file. The service account needs access to the file.\n` +
+        `File ID: ${fileId}\n` +
+        `Make sure the file is in a folder that's shared with the service account.`
+      );
+    }
+    throw error;
+  }
+}
+
+// Creates an empty Doc directly in the output folder, as the user the app acts as
+async function createDocInFolder(drive, title, outputFolderId, accountEmail) {
+  log.info(`Creating document in output folder as ${accountEmail}...`);
+  const driveFile = await withRetry(() => drive.files.create({
+    ...DRIVE_PARAMS,
+    requestBody: {
+      name: title,
+      mimeType: 'application/vnd.google-apps.document',
+      parents: [outputFolderId],
+    },
+    fields: 'id',
+  }), "Drive create");
+  log.info(`Google Doc created successfully: ${driveFile.data.id}`);
+  return driveFile.data.id;
+}
+
+export async function createDoc(title, content, outputFolderId = null) {
+  const docs = getDocsClient();
+  const drive = getDriveClient();
+  
+  // The account folders must be shared with, for error messages
+  const accountEmail = describeAccount();
+  
+  try {
+    log.info(`Creating Google Doc with title: "${title}"`);
+    
+    let documentId;
+    
+    if (outputFolderId && actsAsUser()) {
+      // Acting as a real user (see lib/google.js), who owns the Doc and has storage quota
+      // for it, so it can be created straight in the output folder instead of as below
+      documentId = await createDocInFolder(drive, title, outputFolderId, accountEmail);
+    }
+    
+    // Strategy: Create document via Docs API first (this works if permissions are correct)
+    // Then immediately move it to the output folder
+    // This avoids the "storage quota" error that can occur when creating directly in a folder
+    if (!documentId) {
+      try {
+        log.info(`Creating document via Docs API...`);
+        const doc = await withRetry(() => docs.documents.create({ 
+          requestBody: { title } 
+        }), "Docs create");
+        documentId = doc.data.documentId;
+        log.info(`Google Doc created successfully via Docs API: ${documentId}`);
+      
+        // Immediately move it to the output folder (if provided)
+        if (outputFolderId) {
+          try {
+            log.info(`Moving document to output folder: ${outputFolderId}`);
+            // First, get the current parents to remove them
+            const fileInfo = await drive.files.get({
+              ...DRIVE_PARAMS,
+              fileId: documentId,
+              fields: "parents",
+            });
+          
+            const previousParents = fileInfo.data.parents || [];
+          
+            // Move the file to the output folder
+            await drive.files.update({
+              ...DRIVE_PARAMS,
+              fileId: documentId,
+              addParents: outputFolderId,
+              removeParents: previousParents.length > 0 ? previousParents.join(",") : undefined,
+              fields: "id, parents",
+            });
+            log.info(`Document moved to output folder successfully`);
+          } catch (moveError) {
+            log.warn(`Could not move document to output folder`, moveError);
+            log.warn(`Document was created but is in service account's Drive. Document ID: ${documentId}`);
+            // Don't fail - document was created, location is secondary
+            // The user can manually move it if needed
+          }
+        }
+      } catch (docsError) {
+        log.error(`Docs API creation failed`, { error: docsError, details: docsError.response?.data?.error?.message });
+      
+        // If Docs API fails, try Drive API as fallback
+        if (outputFolderId) {
+          log.info(`Trying Drive API as fallback...`);
+          try {
+            const fileMetadata = {
+              name: title,
+              mimeType: 'application/vnd.google-apps.document',
+              parents: [outputFolderId]
+            };
+          
+            const driveFile = await withRetry(() => drive.files.create({
+              ...DRIVE_PARAMS,
+              requestBody: fileMetadata,
+              fields: 'id, name, parents'
+            }), "Drive create");
+          
+            documentId = driveFile.data.id;
+            log.info(`Google Doc created successfully via Drive API: ${documentId}`);
+          } catch (driveError) {
+            log.error(`Drive API creation also failed`, driveError);
+            // Both methods failed - provide detailed error
+            throw new Error(
+              `Failed to create document using both methods.\n\n` +
+              `Docs API error: ${docsError.message}\n` +
+              `Drive API error: ${driveError.message}\n\n` +
+              `**Possible solutions:**\n` +
+              `1. Verify the service account has "Editor" IAM role in Google Cloud Console\n` +
+              `2. Make sure Google Docs API is enabled\n` +
+              `3. Ensure the output folder is shared with the service account with Editor access\n` +
+              `4. Check if there are organization policies blocking API access`
+            );
+          }
+        } else {
+          // No output folder and Docs API failed
+          throw docsError;
+        }
+      }
+    }
+    
+    // Verify document is in the output folder (if specified)
+    if (outputFolderId && documentId) {
+      try {
+        // Check current parents
+        const file = await drive.files.get({
+          ...DRIVE_PARAMS,
+          fileId: documentId,
+          fields: "parents",
+        });
+        
+        const currentParents = file.data.parents || [];
+        if (!currentParents.includes(outputFolderId)) {
+          log.info(`Document not in output folder, attempting to move...`);
+          await drive.files.update({
+            ...DRIVE_PARAMS,
+            fileId: documentId,
+            addParents: outputFolderId,
+            removeParents: currentParents.join(","),
+            fields: "id, parents",
+          });
+          log.info(`Document moved to output folder successfully`);
+        } else {
+          log.info(`Document is already in output folder`);
+        }
+      } catch (moveError) {
+        log.warn(`Could not verify/move document to output folder`, moveError);
+        // Don't fail - document was created, location is secondary
+      }
+    }
+    
+    // Insert the transcription text - content is plain text or a list of document blocks
+    const blocks = typeof content === "string" ? textToBlocks(content) : content;
+    log.info(`Inserting transcription text (${blocks.length} block(s))...`);
+    await writeBlocks(docs, documentId, blocks);
+    
+    log.info(`Text inserted successfully into document ${documentId}`);
+    return documentId;
+  } catch (error) {
+    log.error("Error creating Google Doc", { error, details: error.response?.data?.error?.message });
+    
+    if (error.code === 403 || error.message.includes('permission') || error.message.includes('Permission')) {
+      // Check if it's a specific API error
+      const errorDetails = error.response?.data?.error || {};
+      const reason = errorDetails.message || error.message;
+      
+      throw new Error(
+        `Permission denied creating Google Doc.\n\n` +
+        `Error details: ${reason}\n\n` +
+        `**Troubleshooting steps:**\n\n` +
+        `1. **Verify IAM Roles** (most important):\n` +
+        `   - Go to: https://console.cloud.google.com/iam-admin/iam?project=sound-velocity-480119-g8\n` +
+        `   - Find: ${accountEmail}\n` +
+        `   - Ensure it has "Editor" or "Owner" role\n\n` +
+        `2. **Verify API Enablement:**\n` +
+        `   - Docs API: https://console.cloud.google.com/apis/library/docs.googleapis.com?project=sound-velocity-480119-g8\n` +
+        `   - Drive API: https://console.cloud.google.com/apis/library/drive.googleapis.com?project=sound-velocity-480119-g8\n\n` +
+        `3. **Verify Folder Permissions:**\n` +
+        `   - Make sure the output folder is shared with ${accountEmail}\n` +
+        `   - Give it "Editor" access (not just Viewer)\n\n` +
+        `4. **Check OAuth Consent Screen:**\n` +
+        `   - Go to: https://console.cloud.google.com/apis/credentials/consent?project=sound-velocity-480119-g8\n` +
+        `   - Make sure OAuth consent screen is configured (even for service accounts)\n\n` +
+        `5. **Try creating a test document manually:**\n` +
+        `   - Share a folder with ${accountEmail}\n` +
+        `   - Try creating a document in that folder via the API\n\n` +
+        `If all else fails, the service account might need domain-wide delegation (for Workspace accounts) or there may be organization policies blocking API access.`
+      );
+    }
+    
+    // Handle other common errors
+    if (error.code === 404) {
+      throw new Error(`Google Docs API endpoint not found. Make sure Google Docs API is enabled.`);
+    }
+    
+    throw error;
+  }
+}
+
+// Fresh metadata for a single file, including its processing ledger
+export async function getAudioFile(fileId) {
+  const drive = getDriveClient();
+  const res = await withRetry(() => drive.files.get({
+    ...DRIVE_PARAMS,
+    fileId,
+    fields: "id,name,mimeType,createdTime,parents,appProperties",
+  }), "File metadata");
+  return res.data;
+}
+
+export async function moveFileToOutputFolder(fileId, outputFolderId) {
+  const drive = getDriveClient();
+  
+  try {
+    await withRetry(async () => {
+      // Get the current parents of the file
+      const file = await drive.files.get({
+        ...DRIVE_PARAMS,
+        fileId,
+        fields: "parents",
+      });
+      
+      const previousParents = file.data.parents.join(",");
+      
+      // Move the file to the output folder
+      await drive.files.update({
+        ...DRIVE_PARAMS,
+        fileId,
+        addParents: outputFolderId,
+        removeParents: previousParents,
+        fields: "id, parents",
+      });
+    }, "Move");
+  } catch (error) {
+    if (error.code === 403 || error.message.includes('permission')) {
+      throw new Error(
+        `Permission denied moving file to output folder. The service account needs Editor access to:\n` +
+        `1. The file being moved\n` +
+        `2. The output folder (ID: ${outputFolderId})\n\n` +
+        `Make sure:\n` +
+        `- The output folder is shared with the service account with Editor access\n` +
+        `- The file is in a folder shared with the service account with Editor access`
+      );
+    }
+    throw error;
+  }
+}
+
+// options.restricted: readers of the file can't download, print or copy it
+export async function uploadTextFile(name, content, mimeType, folderId, { restricted = false } = {}) {
+  const drive = getDriveClient();
+  try {
+    // The body stream is created per attempt, a retry can't reuse a consumed one
+    const res = await withRetry(() => drive.files.create({
+      ...DRIVE_PARAMS,
+      requestBody: { name, mimeType, parents: [folderId], copyRequiresWriterPermission: restricted || undefined },
+      media: { mimeType, body: Readable.from([content]) },
+      fields: "id, webViewLink",
+    }), `Upload ${name}`);
+    return {
+      fileId: res.data.id,
+      url: res.data.webViewLink || `https://drive.google.com/file/d/${res.data.id}/view`,
+    };
+  } catch (error) {
+    if (error.code === 403 || error.message.includes('permission')) {
+      throw new Error(
+        `Permission denied uploading "${name}" to the output folder (ID: ${folderId}).\n` +
+        `Make sure the output folder is shared with the service account with Editor access.`
+      );
+    }
+    throw error;
+  }
+}
+
+async function uploadSubtitles(baseName, segments, outputFolderId) {
+  const srt = await uploadTextFile(`${baseName}.srt`, toSrt(segments), "application/x-subrip", outputFolderId);
+  const vtt = await uploadTextFile(`${baseName}.vtt`, toVtt(segments), "text/vtt", outputFolderId);
+  return { srt, vtt };
+}
+
+async function requestTranscription(audioBuffer, fileName, options) {
+  const provider = getTranscriptionProvider();
+  if (options.task === "translate") {
+    if (!provider.translate) {
+      throw new Error(`Transcription provider "${provider.name}" can't translate audio; use translationMethod "text"`);
+    }
+    return withRetry(() => provider.translate(audioBuffer, fileName, options), `Translation of ${fileName}`);
+  }
+  return withRetry(() => provider.transcribe(audioBuffer, fileName, options), `Transcription of ${fileName}`);
+}
+
+// options: { language, model, prompt, mimeType, task, usage } - unset values use the provider defaults.
+// task "translate" uses the provider's translations endpoint (into English) instead.
+// Every request that got an answer is added to the options.usage array as { model, seconds },
+// so the budget can book what was actually paid for (see lib/budget.js).
+// options.progress ({ chunks, save(chunks) }, see openPartialTranscript) carries the chunks an earlier
+// run already transcribed, reused where their start and end match, and keeps every new one.
+export async function transcribeAudio(audioBuffer, fileName, options = {}) {
+  // Small enough to upload in one go
+  const provider = getTranscriptionProvider();
+  const model = options.model || (options.task === "translate" ? provider.translationModel : provider.model);
+  if (audioBuffer.length <= provider.maxUploadBytes) {
+    const transcription = await requestTranscription(audioBuffer, fileName, options);
+    const seconds = Number(transcription.duration) || transcription.segments[transcription.segments.length - 1]?.end || 0;
+    options.usage?.push({ model, seconds });
+    return { ...transcription, model };
+  }
+
+  log.info(
+    `Audio is ${(audioBuffer.length / 1024 / 1024).toFixed(1)} MB, ` +
+    `above the upload limit - transcribing in chunks...`
+  );
+
+  return withTempDir(async (dir) => {
+    const inputPath = await writeTempAudio(dir, audioBuffer, fileName);
+    const duration = await probeDuration(inputPath);
+    const chunks = planChunks(duration, CHUNK_SECONDS, CHUNK_OVERLAP_SECONDS);
+    const baseName = path.parse(fileName).name;
+
+    log.info(`Duration ${Math.round(duration)}s, splitting into ${chunks.length} chunk(s)`);
+
+    const chunkResults = [];
+    for (const chunk of chunks) {
+      const done = options.progress?.chunks.find((saved) => saved.start === chunk.start && saved.end === chunk.end);
+      if (done) {
+        log.info(`Chunk ${chunk.index + 1}/${chunks.length} was transcribed by an earlier run`);
+        chunkResults.push(done);
+        continue;
+      }
+
+      const chunkName = `${baseName}.part${chunk.index + 1}.mp3`;
+      const chunkBuffer = await extractChunk(
+        inputPath,
+        chunk.start,
+        chunk.end - chunk.start,
+        path.join(dir, chunkName)
+      );
+
+      // Passing the end of the previous chunk as prompt keeps spelling and style consistent across chunks.
+      // The configured prompt goes last: Whisper only looks at the final part of a long prompt.
+      const previousText = chunkResults.length ? chunkResults[chunkResults.length - 1].text : "";
+      const prompt = [previousText.slice(-300), options.prompt].filter(Boolean).join(" ");
+      log.info(`${options.task === "translate" ? "Translating" : "Transcribing"} chunk ${chunk.index + 1}/${chunks.length} (${Math.round(chunk.start)}s-${Math.round(chunk.end)}s)...`);
+      const transcription = await requestTranscription(chunkBuffer, chunkName, { ...options, prompt, mimeType: "audio/mpeg" });
+      // The overlap is sent, and paid for, twice
+      options.usage?.push({ model, seconds: chunk.end - chunk.start });
+
+      chunkResults.push({
+        start: chunk.start,
+        end: chunk.end,
+        text: transcription.text,
+        segments: transcription.segments,
+        language: transcription.language,
+      });
+      await options.progress?.save(chunkResults);
+    }
+
+    return { ...stitchChunks(chunkResults), model };
+  });
+}
+
+async function buildSpeakerTurns(audioBuffer, fileName, segments) {
+  let speakerRanges = [];
+  try {
+    speakerRanges = await diarize(audioBuffer, fileName, segments);
+  } catch (diarizationError) {
+    // Speaker labels are a nice-to-have - keep the transcript and continue without them
+    log.warn(`Diarization failed for ${fileName}, continuing without speakers`, diarizationError);
+    return groupIntoTurns(segments.map((segment) => ({ ...segment, speaker: null })));
+  }
+  return groupIntoTurns(assignSpeakers(segments, speakerRanges));
+}
+
+// The pipeline's glossary, if it has one. Like diarization and summaries it is an
+// improvement on top of the transcript, so a glossary that can't be read doesn't fail the file.
+async function loadPipelineGlossary(pipeline) {
+  const glossaryId = getGlossaryId(pipeline);
+  if (!glossaryId) return { glossary: null };
+  try {
+    return { glossary: await loadGlossary(glossaryId) };
+  } catch (glossaryError) {
+    log.warn(`Could not load glossary ${glossaryId}, continuing without it`, glossaryError);
+    return { glossary: null, glossaryError: glossaryError.message };
+  }
+}
+
+async function buildSummary(transcript, fileName) {
+  const text = transcript.turns.length ? renderTurns(transcript.turns) : transcript.text;
+  try {
+    return await summarizeTranscript(text);
+  } catch (summaryError) {
+    // The transcript is what matters - write the Doc without notes rather than failing the file
+    log.warn(`Summary failed for ${fileName}, continuing without it`, summaryError);
+    return null;
+  }
+}
+
+// Translated transcripts for the pipeline's languages. Like summaries they come on top of the
+// transcript: a language that fails is reported in translationErrors and the file carries on.
+async function buildTranslations(audio, transcript, pipeline, usage) {
+  const translations = [];
+  const translationErrors = [];
+  for (const language of pipeline.translations || []) {
+    if (isSameLanguage(language, transcript.language)) {
+      log.info(`Skipping translation into ${language}, the recording already is ${transcript.language}`);
+      continue;
+    }
+    try {
+      if (pipeline.translationMethod === "audio" && canTranslateAudio(language)) {
+        log.info(`Translating audio into ${languageName(language)}...`);
+        const translated = await transcribeAudio(audio.buffer, audio.fileName, {
+          prompt: pipeline.prompt,
+          mimeType: audio.mimeType,
+          task: "translate",
+          usage,
+        });
+        translations.push({
+          language,
+          name: languageName(language),
+          method: "audio",
+          model: translated.model,
+          turns: turnsFromTranslatedSegments(translated.segments, transcript.turns),
+          text: translated.text,
+        });
+      } else {
+        if (pipeline.translationMethod === "audio") {
+          log.info(`Audio can only be translated into English, translating the text into ${language} instead`);
+        }
+        translations.push(await translateTranscript(transcript, language));
+      }
+    } catch (translationError) {
+      log.warn(`Translation into ${language} failed, continuing without it`, translationError);
+      translationErrors.push({ language, error: translationError.message });
+    }
+  }
+  return { translations, translationErrors };
+}
+
+function formatDuration(seconds) {
+  return Number.isFinite(seconds) ? formatTimestamp(seconds) : "Unknown";
+}
+
+// Upload time in Drive: "2024-05-01 09:30 UTC"
+function formatRecordingDate(file) {
+  return file.createdTime ? new Date(file.createdTime).toISOString().slice(0, 16).replace("T", " ") + " UTC" : "Unknown";
+}
+
+// Title, metadata table, optional notes and the transcript - the same layout for every Doc.
+// Local files (from the CLI) have no Drive ID, their name is shown without a link.
+export function buildDocBlocks(title, file, transcript, pipeline) {
+  const metadata = [
+    ["Source file", file.id ? { text: file.name, url: `https://drive.google.com/file/d/${file.id}/view` } : file.name],
+    ["Recording date", formatRecordingDate(file)],
+    ["Duration", formatDuration(transcript.duration)],
+    ["Language", transcript.language || pipeline.language || "Auto-detected"],
+    ["Model", transcript.model || "Unknown"],
+    ["Processing time", formatDuration(transcript.processingSeconds)],
+  ];
+  if (transcript.redaction) metadata.push(["Redacted", describeRedaction(transcript.redaction)]);
+
+  const body = transcript.turns.length
+    ? turnsToBlocks(transcript.turns)
+    : paragraphsToBlocks(transcript.text);
+
+  // With translationOutput "section" the translations follow the transcript
+  const translations = pipeline.translationOutput === "section" ? transcript.translations || [] : [];
+
+  return [
+    { text: title, style: "TITLE" },
+    { table: metadata },
+    ...(transcript.summary ? summaryToBlocks(transcript.summary) : []),
+    { text: "Transcript", style: "HEADING_1" },
+    ...body,
+    ...translations.flatMap((translation) => [
+      { text: translationHeading(translation), style: "HEADING_1" },
+      ...translationBodyBlocks(translation),
+    ]),
+  ];
+}
+
+// Placeholder values for a template Doc (see lib/template.js), in the same wording as the
+// built-in layout. Lists become one line each, so they take the style of the placeholder's paragraph.
+export function buildTemplateValues(title, file, transcript, pipeline) {
+  const notes = transcript.summary;
+  const translations = pipeline.translationOutput === "section" ? transcript.translations || [] : [];
+  return {
+    title,
+    fileName: file.name,
+    fileUrl: file.id ? `https://drive.google.com/file/d/${file.id}/view` : "",
+    date: formatRecordingDate(file),
+    duration: formatDuration(transcript.duration),
+    language: transcript.language || pipeline.language || "Auto-detected",
+    model: transcript.model || "Unknown",
+    processingTime: formatDuration(transcript.processingSeconds),
+    pipeline: pipeline.name,
+    speakers: [...new Set(transcript.turns.map((turn) => turn.speaker).filter(Boolean))].join(", "),
+    redaction: transcript.redaction ? describeRedaction(transcript.redaction) : "",
+    summary: notes ? notes.summary || "No summary available." : "",
+    decisions: notes ? notes.decisions.join("\n") || "No decisions recorded." : "",
+    actionItems: notes ? notes.actionItems.map(formatActionItem).join("\n") || "No action items recorded." : "",
+    transcript: transcript.turns.length ? renderTurns(transcript.turns) : transcript.text,
+    translations: translations
+      .map((translation) => `${translationHeading(translation)}\n\n${translation.turns.length ? renderTurns(translation.turns) : translation.text}`)
+      .join("\n\n"),
+  };
+}
+
+// Entries of a template's {{#segments}} block: one per speaker turn, or without segment
+// timings one per paragraph of text
+export function buildTemplateSegments(transcript) {
+  if (!transcript.turns.length) {
+    return paragraphsToBlocks(transcript.text).map((block) => ({ start: "", end: "", speaker: "", text: block.text }));
+  }
+  return transcript.turns.map((turn) => ({
+    start: formatTimestamp(turn.start),
+    end: formatTimestamp(turn.end),
+    speaker: turn.speaker || "",
+    text: turn.text,
+  }));
+}
+
+function translationBodyBlocks(translation) {
+  return translation.turns.length ? turnsToBlocks(translation.turns) : paragraphsToBlocks(translation.text);
+}
+
+// A translation in its own Doc, linking back to the transcript Doc
+function buildTranslationDocBlocks(title, file, transcript, translation, docId) {
+  const metadata = [
+    ["Source file", { text: file.name, url: `https://drive.google.com/file/d/${file.id}/view` }],
+    ["Original transcript", { text: "Open Doc", url: `https://docs.google.com/document/d/${docId}` }],
+    ["Recording date", formatRecordingDate(file)],
+    ["Duration", formatDuration(transcript.duration)],
+    ["Language", `${translation.name}, translated from ${transcript.language || "the original"}`],
+    ["Translation", `${translation.method === "audio" ? "Audio" : "Text"} translation (${translation.model})`],
+  ];
+  if (transcript.redaction) metadata.push(["Redacted", describeRedaction(transcript.redaction)]);
+  return [
+    { text: title, style: "TITLE" },
+    { table: metadata },
+    { text: translationHeading(translation), style: "HEADING_1" },
+    ...translationBodyBlocks(translation),
+  ];
+}
+
+// Link per translation for the results: the translated Doc, or the section in the transcript Doc
+function translationLinks(transcript, ledger, docUrl) {
+  return (transcript.translations || []).map((translation) => {
+    const ref = ledger.translations[translation.language];
+    let url = docUrl;
+    if (ref?.startsWith("#")) url = `${docUrl}/edit${ref}`;
+    else if (ref) url = `https://docs.google.com/document/d/${ref}`;
+    return { language: translation.language, name: translation.name, method: translation.method, url };
+  });
+}
+
+// Everything between the download and the Doc: format detection, transcription with the
+// glossary, speakers and the optional summary. Used by processFile and by the CLI for local files.
+// options.glossary overrides the pipeline's glossary (null for none), so local runs needn't touch Drive.
+// options.usage collects the audio sent to the provider, also when a later part fails (see transcribeAudio),
+// options.progress keeps the chunks of a long recording across runs (see openPartialTranscript).
+export async function transcribeRecording(buffer, fileName, pipeline, options = {}) {
+  // Check what the file really is; convert it or extract the audio track if needed
+  log.info("Detecting audio format...");
+  const audio = await runStep("format", () => prepareAudio(buffer, fileName));
+  log.info(
+    audio.transcoded
+      ? `Converted ${audio.originalFormat} to ${audio.format}`
+      : `Detected ${audio.format} (${audio.mimeType})`
+  );
+
+  // Glossary terms go into the prompt, so Whisper spells them right to begin with
+  const { glossary, glossaryError } = options.glossary !== undefined
+    ? { glossary: options.glossary }
+    : await loadPipelineGlossary(pipeline);
+  const prompt = [pipeline.prompt, glossary && glossaryPrompt(glossary)].filter(Boolean).join(" ");
+
+  // Step 2: Transcribe audio with the configured provider
+  log.info("Transcribing audio...");
+  let transcription = await runStep("transcribe", () => transcribeAudio(audio.buffer, audio.fileName, {
+    language: pipeline.language,
+    model: pipeline.model,
+    prompt: prompt || null,
+    mimeType: audio.mimeType,
+    usage: options.usage,
+    progress: options.progress,
+  }));
+
+  // Fix whatever the prompt didn't prevent, before anything else reads the text
+  let corrections = [];
+  if (glossary) {
+    ({ transcription, corrections } = applyCorrections(transcription, glossary));
+    log.info(`Applied ${corrections.reduce((sum, c) => sum + c.count, 0)} glossary correction(s)`);
+  }
+
+  // Group segments into timestamped speaker turns
+  log.info("Identifying speakers...");
+  const turns = await buildSpeakerTurns(audio.buffer, audio.fileName, transcription.segments);
+  const transcript = { ...transcription, turns, corrections, glossaryError };
+
+  // Optional meeting notes for the top of the Doc
+  if (isSummaryEnabled(pipeline)) {
+    log.info("Generating summary...");
+    transcript.summary = await buildSummary(transcript, fileName);
+  }
+
+  // Translations, kept with the transcript so a rerun doesn't translate again
+  if (pipeline.translations?.length) {
+    Object.assign(transcript, await buildTranslations(audio, transcript, pipeline, options.usage));
+  }
+  return transcript;
+}
+
+// Audio that will be sent for a recording of `seconds`: the transcription, with the overlap of its
+// chunks when it is too large for one upload, and the same again for every translation from the audio.
+// An estimate - the recording may still be converted - that settleBudget replaces by what was sent.
+function planAudioUsage(seconds, bytes, pipeline) {
+  const provider = getTranscriptionProvider();
+  const sent = bytes > provider.maxUploadBytes
+    ? planChunks(seconds, CHUNK_SECONDS, CHUNK_OVERLAP_SECONDS).reduce((sum, chunk) => sum + chunk.end - chunk.start, 0)
+    : seconds;
+  const audioTranslations = pipeline.translationMethod === "audio"
+    ? (pipeline.translations || []).filter(canTranslateAudio)
+    : [];
+  return [
+    { model: pipeline.model || provider.model, seconds: sent },
+    ...audioTranslations.map(() => ({ model: provider.translationModel, seconds: sent })),
+  ];
+}
+
+// Checks a recording against the budget caps and books its estimated cost (see lib/budget.js)
+export function reserveTranscriptionBudget(buffer, fileName, pipeline) {
+  return runStep("budget", () =>
+    reserveBudget(buffer, fileName, (seconds) => planAudioUsage(seconds, buffer.length, pipeline))
+  );
+}
+
+// ======= PIPELINE =======
+// Verifies the input folder is reachable and lists its audio files (see listAudioFiles for options).
+// allFiles (everything directly in the folder) is returned for debugging output.
+export async function findAudioFiles(inputFolderId, options = {}) {
+  log.info(`Fetching audio files from input folder: ${inputFolderId}`);
+  
+  // First, verify we can access the folder
+  const drive = getDriveClient();
+  let folderInfo;
+  
+  // The account folders must be shared with, for error messages
+  const accountEmail = describeAccount();
+  
+  try {
+    folderInfo = await drive.files.get({
+      ...DRIVE_PARAMS,
+      fileId: inputFolderId,
+      fields: "id,name,mimeType,permissions,capabilities",
+    });
+    log.info(`Folder access verified: ${folderInfo.data.name} (${folderInfo.data.id})`);
+  } catch (folderError) {
+    // 404 can mean either folder doesn't exist OR service account doesn't have access
+    // 403 means explicit access denial
+    if (folderError.code === 404 || folderError.code === 403) {
+      const errorMsg = folderError.code === 404 
+        ? "Folder not found or service account doesn't have access"
+        : "Access denied to folder";
+      
+      throw new Error(
+        `${errorMsg}.\n\n` +
+        `Folder ID: ${inputFolderId}\n` +
+        `Folder URL: https://drive.google.com/drive/folders/${inputFolderId}\n\n` +
+        `**To fix this:**\n` +
+        `1. Open the folder in Google Drive: https://drive.google.com/drive/folders/${inputFolderId}\n` +
+        `2. Click the "Share" button (or right-click → Share)\n` +
+        `3. Add this email address: ${accountEmail}\n` +
+        `4. Give it at least "Viewer" access (or "Editor" if you want it to move files)\n` +
+        `5. Click "Send" or "Share"\n\n` +
+        `**Important:** The service account email must be added as a collaborator on the folder.\n` +
+        `The folder ID is correct, but the service account cannot see it without being shared.`
+      );
+    }
+    throw folderError;
+  }
+  
+  // Try to list ALL files in the folder first (for debugging)
+  const allFilesRes = await drive.files.list({
+    ...DRIVE_LIST_PARAMS,
+    q: `'${inputFolderId}' in parents and trashed=false`,
+    fields: "files(id,name,mimeType,size)",
+    pageSize: 100,
+  });
+  const allFiles = allFilesRes.data.files || [];
+  
+  log.debug(`Found ${allFiles.length} total file(s) in folder`, {
+    files: allFiles.map(f => ({ name: f.name, mimeType: f.mimeType, size: f.size })),
+  });
+  
+  // Now get audio files specifically
+  const files = await listAudioFiles(inputFolderId, options);
+  
+  log.info(`Query returned ${files.length} audio file(s)`);
+
+  return { folder: folderInfo.data, allFiles, files };
+}
+
+// Files that failed this many runs are moved to the pipeline's failed folder
+const MAX_FILE_FAILURES = Number(process.env.MAX_FILE_FAILURES) || 3;
+
+// Moves a file that keeps failing out of the input folder, with a note explaining why,
+// so it is no longer picked up on every run
+async function quarantineFile(file, pipeline, error, ledger) {
+  const note =
+    `Transcription of "${file.name}" failed ${ledger.failures} time(s) and was moved here.\n\n` +
+    `Pipeline: ${pipeline.name}\n` +
+    `Step: ${error.stepLabel}\n` +
+    `Error: ${error.message}\n` +
+    (error.upstreamStatus ? `Upstream status: ${error.upstreamStatus}\n` : "") +
+    `Last step completed: ${ledger.step || "none"}\n` +
+    `Moved: ${new Date().toISOString()}\n\n` +
+    `Fix the problem and move the file back to the input folder to try again.`;
+
+  const baseName = file.name.replace(/\.[^/.]+$/, "");
+  const uploaded = await uploadTextFile(`${baseName}.error.txt`, note, "text/plain", pipeline.failedFolderId);
+
+  const drive = getDriveClient();
+  await withRetry(async () => {
+    const current = await drive.files.get({ ...DRIVE_PARAMS, fileId: file.id, fields: "parents" });
+    await drive.files.update({
+      ...DRIVE_PARAMS,
+      fileId: file.id,
+      addParents: pipeline.failedFolderId,
+      removeParents: (current.data.parents || []).join(","),
+      // The note also shows in the file's details panel in Drive
+      requestBody: { description: note.slice(0, 4000) },
+      fields: "id",
+    });
+  }, "Quarantine move");
+  return uploaded;
+}
+
+// Failures only count towards quarantine until the file succeeds or is set aside. Resetting
+// is bookkeeping: a file isn't failed over it, the next failure just counts from a higher number.
+async function clearFailures(file, ledger) {
+  try {
+    await resetFailures(file.id, ledger);
+  } catch (resetError) {
+    log.warn(`Could not reset the failure count of ${file.name}`, resetError);
+  }
+}
+
+// Counts the failure and quarantines the file once it has failed too often.
+// Returns the fields to add to the error result.
+async function handleFailure(file, pipeline, error, ledger) {
+  try {
+    await recordFailure(file.id, ledger, error);
+  } catch (recordError) {
+    log.warn(`Could not record failure for ${file.name}`, recordError);
+    return { failures: ledger.failures };
+  }
+
+  if (ledger.failures < MAX_FILE_FAILURES) {
+    return { failures: ledger.failures };
+  }
+  if (!pipeline.failedFolderId) {
+    log.warn(
+      `${file.name} failed ${ledger.failures} times; set failedFolderId or FAILED_FOLDER_ID ` +
+      `to move files like this out of the input folder`
+    );
+    return { failures: ledger.failures };
+  }
+
+  try {
+    log.info(`Moving ${file.name} to the failed folder after ${ledger.failures} failed runs...`);
+    const note = await quarantineFile(file, pipeline, error, ledger);
+    const failures = ledger.failures;
+    await clearFailures(file, ledger);
+    return { failures, quarantined: true, errorNoteUrl: note.url };
+  } catch (quarantineError) {
+    log.error(`Could not move ${file.name} to the failed folder`, quarantineError);
+    return { failures: ledger.failures, quarantineError: toStepError("quarantine", quarantineError).message };
+  }
+}
+
+// Links to the translation sections of a new transcript Doc. Without them the results
+// link to the Doc itself, so a failed lookup doesn't fail the file.
+async function recordSectionLinks(fileId, ledger, translations) {
+  try {
+    const headings = await findHeadings(getDocsClient(), ledger.docId);
+    for (const translation of translations) {
+      const heading = headings.find((h) => h.text === translationHeading(translation));
+      if (heading) await recordTranslation(fileId, ledger, translation.language, `#heading=${heading.headingId}`);
+    }
+  } catch (error) {
+    log.warn("Could not look up the translation sections, linking to the Doc instead", error);
+  }
+}
+
+// Output folder for a file: the pipeline's output folder, or with recursive pipelines
+// the same subfolder below it as the file has below the input folder
+// A long recording is transcribed chunk by chunk, and every chunk is written to <name>.partial.json
+// as soon as it is done. A run that is stopped halfway, like a worker reaching its maxDuration,
+// then leaves the chunks it paid for, and the next run continues with the one after. The file
+// holds unredacted text, so with redaction it goes to the restricted folder, and it is removed
+// once the whole transcript is saved. It also keeps the run's budget reservation until it is
+// settled: a run that was stopped never got to settle it, so the next run does.
+// Progress that can't be read or written only costs a retranscription, so it never fails the file.
+async function openPartialTranscript(file, ledger, pipeline, outputFolderId) {
+  const settings = {
+    model: pipeline.model || null,
+    language: pipeline.language || null,
+    chunkSeconds: CHUNK_SECONDS,
+    overlapSeconds: CHUNK_OVERLAP_SECONDS,
+  };
+  let saved = null;
+  if (ledger.partialFileId) {
+    try {
+      saved = JSON.parse((await downloadFile(ledger.partialFileId)).toString("utf8"));
+    } catch (error) {
+      log.warn("Could not read the partial transcript of an earlier run, starting over", error);
+    }
+  }
+  const resumable = saved && Object.entries(settings).every(([key, value]) => saved[key] === value);
+  if (saved?.chunks?.length) {
+    log.info(resumable
+      ? `Resuming with ${saved.chunks.length} chunk(s) transcribed by an earlier run`
+      : "Transcription settings changed since the earlier run, transcribing all chunks again");
+  }
+  const state = { ...settings, chunks: resumable ? saved.chunks : [], charge: null, sent: [] };
+
+  const write = async () => {
+    const content = JSON.stringify(state);
+    try {
+      if (ledger.partialFileId) {
+        const drive = getDriveClient();
+        await withRetry(() => drive.files.update({
+          ...DRIVE_PARAMS,
+          fileId: ledger.partialFileId,
+          media: { mimeType: "application/json", body: Readable.from([content]) },
+          fields: "id",
+        }), "Partial transcript update");
+      } else {
+        const uploaded = await uploadTextFile(
+          `${file.name.replace(/\.[^/.]+$/, "")}.partial.json`,
+          content,
+          "application/json",
+          pipeline.redaction ? pipeline.redactionFolderId : outputFolderId,
+          { restricted: pipeline.redaction }
+        );
+        await recordPartialTranscript(file.id, ledger, uploaded.fileId);
+      }
+    } catch (error) {
+      log.warn("Could not save the transcription's progress", error);
+    }
+  };
+
+  if (saved?.charge) {
+    log.info("Settling the budget reservation of an earlier run that was stopped");
+    await settleBudget(saved.charge, saved.sent || []);
+    await write();
+  }
+
+  return {
+    chunks: state.chunks,
+    // The reservation and the array collecting what this run sends, written with the next chunk
+    track(charge, sent) {
+      state.charge = charge || null;
+      state.sent = sent;
+    },
+    async save(chunks) {
+      state.chunks = chunks;
+      await write();
+    },
+    async settled() {
+      state.charge = null;
+      if (ledger.partialFileId) await write();
+    },
+    async remove() {
+      if (!ledger.partialFileId) return;
+      try {
+        await getDriveClient().files.delete({ ...DRIVE_PARAMS, fileId: ledger.partialFileId });
+      } catch (error) {
+        if (error.code !== 404) log.warn("Could not remove the partial transcript", error);
+      }
+      await recordPartialTranscript(file.id, ledger, null).catch((error) =>
+        log.warn("Could not remove the partial transcript from the ledger", error)
+      );
+    },
+  };
+}
+
+async function resolveOutputFolder(file, pipeline) {
+  if (!pipeline.recursive) return pipeline.outputFolderId;
+  const folderPath = file.folderPath ?? await resolveFolderPath(file, pipeline.inputFolderId);
+  if (!folderPath) return pipeline.outputFolderId;
+  log.info(`Mirroring subfolder "${folderPath}" in the output folder...`);
+  return ensureFolderPath(pipeline.outputFolderId, folderPath);
+}
+
+// Runs fn and adds the milliseconds it took to timings[key], also when it fails
+async function timed(timings, key, fn) {
+  const startedAt = Date.now();
+  let failed = true;
+  try {
+    const result = await fn();
+    failed = false;
+    return result;
+  } finally {
+    const durationMs = Date.now() - startedAt;
+    timings[key] = (timings[key] || 0) + durationMs;
+    log.info(`${key} ${failed ? "failed" : "finished"} after ${durationMs}ms`, { step: key, durationMs });
+  }
+}
+
+// A file that would go over a budget cap. It isn't a failure: the file stays in the input
+// folder, without a failure on its ledger, and a later run transcribes it.
+export function budgetExceededResult(file, budget, timings, fileStartedAt) {
+  timings.total = Date.now() - fileStartedAt;
+  return {
+    fileName: file.name,
+    fileId: file.id,
+    status: "budget_exceeded",
+    error: `Budget exceeded: ${budget.minutes} minute(s) of audio for about ${budget.cost} USD would go over the ${budget.exceeded.join(" and the ")}`,
+    budget: { minutes: budget.minutes, estimatedCost: budget.cost, durationEstimated: budget.estimated, exceeded: budget.exceeded },
+    timings,
+  };
+}
+
+// Every line logged while a file is processed carries its ID and name
+export function processFile(file, pipeline) {
+  return withLogContext({ fileId: file.id, fileName: file.name }, () => processFileSteps(file, pipeline));
+}
+
+async function processFileSteps(file, pipeline) {
+  // Resume from whatever a previous run already finished for this file
+  const ledger = parseLedger(file.appProperties);
+  const resumedFrom = ledger.step;
+  // Milliseconds spent on download, transcription, doc and move (see lib/runs.js)
+  const timings = {};
+  const fileStartedAt = Date.now();
+  let transcript;
+  try {
+    log.info(`Processing: ${file.name} (${file.id})`);
+    if (resumedFrom) {
+      log.info(`Resuming after completed step "${resumedFrom}"`);
+    }
+
+    const baseName = file.name.replace(/\.[^/.]+$/, "");
+    const outputFolderId = await runStep("output_folder", () => resolveOutputFolder(file, pipeline));
+
+    if (hasCompleted(ledger, "transcribed")) {
+      log.info("Loading saved transcript...");
+      transcript = await timed(timings, "download", () => runStep("download", async () =>
+        JSON.parse((await downloadFile(ledger.transcriptFileId)).toString("utf8"))
+      ));
+    } else {
+      const startedAt = Date.now();
+
+      // Step 1: Download audio file from Google Drive
+      log.info("Downloading file from Drive...");
+      const downloaded = await timed(timings, "download", () => runStep("download", async () => {
+        const buffer = await downloadFile(file.id);
+        await recordStep(file.id, ledger, "downloaded");
+        return buffer;
+      }));
+
+      // Chunks an earlier run already transcribed. Opened before the budget is checked, so the
+      // reservation of a run that was stopped is settled first.
+      const progress = await openPartialTranscript(file, ledger, pipeline, outputFolderId);
+
+      // Step 1a: Estimate the cost and book it against the budget, before paying for it
+      const budget = await reserveTranscriptionBudget(downloaded, file.name, pipeline);
+      if (!budget.allowed) {
+        log.warn(`Budget exceeded, leaving ${file.name} for a later run: ${budget.exceeded.join(", ")}`, { minutes: budget.minutes, cost: budget.cost });
+        return budgetExceededResult(file, budget, timings, fileStartedAt);
+      }
+
+      // Steps 1b and 2: format detection, transcription, speakers and notes.
+      // Whatever was sent to the provider is booked, whether or not the file gets any further.
+      const sent = [];
+      progress.track(budget.charge, sent);
+      try {
+        transcript = await timed(timings, "transcription", () => transcribeRecording(downloaded, file.name, pipeline, { usage: sent, progress }));
+      } finally {
+        await settleBudget(budget.charge, sent);
+        await progress.settled();
+      }
+      transcript.processingSeconds = Math.round((Date.now() - startedAt) / 1000);
+
+      // Mask personal data before anything is written to the output folder
+      let unredacted = null;
+      if (pipeline.redaction) {
+        log.info("Redacting personal data...");
+        unredacted = transcript;
+        const { transcript: redacted, report } = await runStep("redact", () => redactTranscript(transcript, pipeline));
+        transcript = redacted;
+        log.info(`Redacted ${report.total} item(s): ${describeRedaction(report)}`);
+      }
+
+      // Keep the result so a rerun never has to pay for the transcription again.
+      // The unredacted version only goes to the restricted folder.
+      await runStep("save_transcript", async () => {
+        let unredactedFileId = null;
+        if (unredacted) {
+          const copy = await uploadTextFile(
+            `${baseName}.unredacted.json`,
+            JSON.stringify(unredacted),
+            "application/json",
+            pipeline.redactionFolderId,
+            { restricted: true }
+          );
+          unredactedFileId = copy.fileId;
+        }
+        const saved = await uploadTextFile(
+          `${baseName}.transcript.json`,
+          JSON.stringify(transcript),
+          "application/json",
+          outputFolderId
+        );
+        await recordStep(file.id, ledger, "transcribed", { transcriptFileId: saved.fileId, unredactedFileId });
+      });
+      await progress.remove();
+    }
+
+    // Step 3: Create Google Doc with transcription
+    if (!hasCompleted(ledger, "doc_created")) {
+      log.info("Creating Google Doc...");
+      await timed(timings, "doc", () => runStep("doc", async () => {
+        const docTitle = renderDocTitle(pipeline, file);
+        const templateId = getTemplateId(pipeline);
+        const docId = templateId
+          ? await createDocFromTemplate(
+              templateId,
+              docTitle,
+              outputFolderId,
+              buildTemplateValues(docTitle, file, transcript, pipeline),
+              buildTemplateSegments(transcript)
+            )
+          : await createDoc(docTitle, buildDocBlocks(docTitle, file, transcript, pipeline), outputFolderId);
+        await recordStep(file.id, ledger, "doc_created", { docId });
+        if (pipeline.translationOutput === "section" && transcript.translations?.length) {
+          await recordSectionLinks(file.id, ledger, transcript.translations);
+        }
+      }));
+    }
+
+    // A Doc per translation, next to the transcript Doc
+    if (pipeline.translationOutput === "doc") {
+      const missing = (transcript.translations || []).filter((translation) => !ledger.translations[translation.language]);
+      if (missing.length) {
+        log.info(`Creating ${missing.length} translated Doc(s)...`);
+        await timed(timings, "doc", () => runStep("translation_docs", async () => {
+          for (const translation of missing) {
+            const docTitle = `${renderDocTitle(pipeline, file)} (${translation.name})`;
+            const blocks = buildTranslationDocBlocks(docTitle, file, transcript, translation, ledger.docId);
+            const docId = await createDoc(docTitle, blocks, outputFolderId);
+            await recordTranslation(file.id, ledger, translation.language, docId);
+          }
+        }));
+      }
+    }
+
+    // Write .srt and .vtt subtitles next to the Doc
+    if (!hasCompleted(ledger, "subtitles_uploaded")) {
+      log.info("Uploading subtitle files...");
+      await runStep("subtitles", async () => {
+        const subtitles = await uploadSubtitles(baseName, transcript.segments, outputFolderId);
+        await recordStep(file.id, ledger, "subtitles_uploaded", {
+          srtFileId: subtitles.srt.fileId,
+          vttFileId: subtitles.vtt.fileId,
+        });
+      });
+    }
+
+    // Step 4: Move original file to output folder
+    // Always done - the file is only listed because it is still in the input folder
+    log.info("Moving file to output folder...");
+    await timed(timings, "move", () => runStep("move", async () => {
+      await moveFileToOutputFolder(file.id, outputFolderId);
+      await recordStep(file.id, ledger, "moved");
+    }));
+    await clearFailures(file, ledger);
+
+    // Get the document URL
+    const docUrl = `https://docs.google.com/document/d/${ledger.docId}`;
+
+    timings.total = Date.now() - fileStartedAt;
+    log.info(`✓ Completed: ${file.name}`, { timings });
+
+    return {
+      fileName: file.name,
+      fileId: file.id,
+      docId: ledger.docId,
+      docUrl: docUrl,
+      srtUrl: `https://drive.google.com/file/d/${ledger.srtFileId}/view`,
+      vttUrl: `https://drive.google.com/file/d/${ledger.vttFileId}/view`,
+      status: "success",
+      resumedFrom: resumedFrom || undefined,
+      // Length of the recording, and milliseconds per step of this run: { download, transcription, doc, move, total }
+      audioSeconds: transcript.duration != null ? Math.round(transcript.duration) : undefined,
+      timings,
+      // Masked personal data: { counts: { email: 2, ... }, total, detectors, unredactedUrl }
+      redaction: transcript.redaction
+        ? {
+            ...transcript.redaction,
+            unredactedUrl: ledger.unredactedFileId ? `https://drive.google.com/file/d/${ledger.unredactedFileId}/view` : undefined,
+          }
+        : undefined,
+      // Translated transcripts: [{ language, name, method, url }]
+      translations: transcript.translations?.length ? translationLinks(transcript, ledger, docUrl) : undefined,
+      translationErrors: transcript.translationErrors?.length ? transcript.translationErrors : undefined,
+      // Glossary replacements made in the transcript: [{ from, to, count }]
+      corrections: transcript.corrections?.length ? transcript.corrections : undefined,
+      glossaryError: transcript.glossaryError || undefined,
+    };
+  } catch (fileError) {
+    // Everything thrown above comes out of runStep, anything else is a bug in between
+    const error = fileError instanceof StepError
+      ? fileError
+      : new StepError("unknown", fileError.message, { cause: fileError });
+    timings.total = Date.now() - fileStartedAt;
+    log.error(`Error processing ${file.name} (${error.stepLabel})`, { error: error.cause || error, step: error.step, timings });
+
+    const failure = await handleFailure(file, pipeline, error, ledger);
+
+    return {
+      fileName: file.name,
+      fileId: file.id,
+      status: "error",
+      error: error.message,
+      step: error.stepLabel,
+      stepId: error.step,
+      retryable: error.retryable,
+      upstreamStatus: error.upstreamStatus || undefined,
+      errorCode: error.code || undefined,
+      audioSeconds: transcript?.duration != null ? Math.round(transcript.duration) : undefined,
+      timings,
+      // Last step that did finish - the next run continues from here
+      completedStep: ledger.step,
+      ...failure,
+    };
+  }
+}
@@ -0,0 +1,272 @@
+// lib/redaction.js
+//
+// Masks personal data in a transcript before it is written to the output folder:
+//   email     jan@example.com                 -> [EMAIL]
+//   phone     06 12345678, +31 20 123 4567    -> [PHONE]
+//   iban      NL91 ABNA 0417 1643 00          -> [IBAN]      (checksum verified)
+//   bsn       123456782                       -> [BSN]       (Dutch citizen service number, 11-test verified)
+//   postcode  1234 AB                         -> [POSTCODE]
+//   name      names from REDACTION_NAMES / the pipeline's redactionNames -> [NAME]
+// REDACTION_CATEGORIES limits the built-in rules, REDACTION_RULES adds regex rules:
+//   REDACTION_RULES='[{"category":"customer_id","pattern":"CUST-\\d{6}","flags":"i"}]'
+// With REDACTION_MODEL_DETECTOR=true a chat model also looks for names and addresses the
+// rules can't know about; what it finds is masked like the rest.
+import { getOpenAIClient, describeOpenAIKeyError, isOpenAIKeyError } from "./openai.js";
+import { withRetry } from "./errors.js";
+import { splitText } from "./summary.js";
+import { log } from "./log.js";
+
+const MODEL = process.env.REDACTION_MODEL || "gpt-4o-mini";
+const CHUNK_CHARS = Number(process.env.REDACTION_CHUNK_CHARS) || 8000;
+const MODEL_CATEGORIES = ["name", "address", "email", "phone", "iban", "id", "other"];
+
+// ======= RULES =======
+// ISO 13616: move the country code and check digits to the end, letters to numbers, mod 97 must be 1
+function isValidIban(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+// The "elfproef": 9*d1 + 8*d2 + ... + 2*d8 - d9 is divisible by 11
+function isValidBsn(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length !== 9 || /^0+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(digits[i]) * (9 - i);
+  return (sum - Number(digits[8])) % 11 === 0;
+}
+
+// In the order they are applied: an IBAN is masked before its digits can look like a phone number
+const BUILT_IN_RULES = [
+  { category: "email", pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu },
+  { category: "iban", pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]){11,30}\b/gi, validate: isValidIban },
+  // International numbers, and Dutch numbers of ten digits starting with 0, with spaces or dashes anywhere.
+  // Not inside a word: the digits of an IBAN with a wrong checksum are no phone number.
+  { category: "phone", pattern: /(?<![\p{L}\p{N}+])(?:(?:\+|00)\d{1,3}[\s-]?(?:\(0\)[\s-]?)?\d(?:[\s-]?\d){6,10}|0\d(?:[\s-]?\d){8})(?!\p{N})/gu },
+  { category: "bsn", pattern: /(?<![\p{N}.,-])\d(?:[\s.-]?\d){8}(?![\p{N}])/gu, validate: isValidBsn },
+  // Capitals only: "2024 en" in running text is not a postcode
+  { category: "postcode", pattern: /\b[1-9]\d{3}\s?(?!SA|SD|SS)[A-Z]{2}\b/g },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One rule matching any of the given strings as whole words, longest first
+function literalRule(category, values, { ignoreCase = true } = {}) {
+  const unique = [...new Set(values.map((value) => value.trim()).filter(Boolean))];
+  if (!unique.length) return null;
+  const alternatives = unique
+    .sort((a, b) => b.length - a.length)
+    .map((value) => escapeRegExp(value).replace(/\s+/g, "\\s+"));
+  return {
+    category,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, ignoreCase ? "giu" : "gu"),
+  };
+}
+
+function listFromEnv(value) {
+  return (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+function customRules() {
+  if (!process.env.REDACTION_RULES) return [];
+  let raw;
+  try {
+    raw = JSON.parse(process.env.REDACTION_RULES);
+  } catch (e) {
+    throw new Error("Failed to parse REDACTION_RULES: " + e.message);
+  }
+  if (!Array.isArray(raw)) {
+    throw new Error("REDACTION_RULES must be a JSON array of { category, pattern, flags }");
+  }
+  return raw.map((rule, index) => {
+    if (!rule.category || !rule.pattern) {
+      throw new Error(`REDACTION_RULES[${index}] needs a "category" and a "pattern"`);
+    }
+    try {
+      const flags = new Set(`${rule.flags || ""}gu`);
+      return { category: String(rule.category), pattern: new RegExp(rule.pattern, [...flags].join("")) };
+    } catch (e) {
+      throw new Error(`REDACTION_RULES[${index}] has an invalid pattern: ${e.message}`);
+    }
+  });
+}
+
+// The rules for a pipeline: configured names first, then the built-in and custom rules
+export function buildRules(pipeline) {
+  const enabled = listFromEnv(process.env.REDACTION_CATEGORIES);
+  const builtIn = BUILT_IN_RULES.filter((rule) => !enabled.length || enabled.includes(rule.category));
+  const names = !enabled.length || enabled.includes("name")
+    ? literalRule("name", [...listFromEnv(process.env.REDACTION_NAMES), ...(pipeline.redactionNames || [])])
+    : null;
+  return [...(names ? [names] : []), ...builtIn, ...customRules()];
+}
+
+export function maskFor(category) {
+  return `[${category.toUpperCase()}]`;
+}
+
+// Length of the part of a match that passes the rule's check. A greedy match can take a
+// word too many ("NL91ABNA0417164300 en"), so shorter ones ending at a space are tried too.
+function validLength(matched, rule) {
+  if (!rule.validate) return matched.length;
+  for (let end = matched.length; end > 0; end = matched.lastIndexOf(" ", end - 1)) {
+    const candidate = matched.slice(0, end).trimEnd();
+    if (rule.validate(candidate)) return candidate.length;
+  }
+  return 0;
+}
+
+function applyRule(text, rule, counts) {
+  const pattern = rule.pattern;
+  pattern.lastIndex = 0;
+  let result = "";
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const length = match[0] ? validLength(match[0], rule) : 0;
+    if (length) {
+      result += text.slice(position, match.index) + maskFor(rule.category);
+      position = match.index + length;
+      pattern.lastIndex = position;
+      counts.set(rule.category, (counts.get(rule.category) || 0) + 1);
+    } else {
+      // Nothing valid here; look again from the next character
+      pattern.lastIndex = match.index + 1;
+    }
+  }
+  return result + text.slice(position);
+}
+
+// Applies the rules one after another. `counts` (Map category => count) collects what was masked.
+export function redactText(text, rules, counts = new Map()) {
+  if (!text) return text;
+  return rules.reduce((result, rule) => applyRule(result, rule, counts), text);
+}
+
+// ======= MODEL DETECTOR =======
+const DETECTOR_PROMPT =
+  `You find personal data in meeting transcripts, to mask it before sharing. Find names of people, ` +
+  `street addresses, email addresses, phone numbers, bank account numbers and ID numbers. Skip company ` +
+  `and product names, and text that already is a mask like [NAME]. Respond with JSON only, in this shape:\n` +
+  `{"entities": [{"text": "exactly as written in the transcript", "category": "${MODEL_CATEGORIES.join("|")}"}]}`;
+
+async function requestEntities(part) {
+  const openai = getOpenAIClient();
+  try {
+    const completion = await withRetry(() => openai.chat.completions.create({
+      model: MODEL,
+      response_format: { type: "json_object" },
+      temperature: 0,
+      messages: [
+        { role: "system", content: DETECTOR_PROMPT },
+        { role: "user", content: part },
+      ],
+    }), "Redaction request");
+    const data = JSON.parse(completion.choices[0].message.content);
+    return (Array.isArray(data.entities) ? data.entities : [])
+      .filter((entity) => entity && typeof entity.text === "string" && entity.text.trim().length > 1)
+      .map((entity) => ({
+        text: entity.text.trim(),
+        category: MODEL_CATEGORIES.includes(entity.category) ? entity.category : "other",
+      }));
+  } catch (error) {
+    if (isOpenAIKeyError(error)) {
+      throw describeOpenAIKeyError(error);
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`Redaction model returned invalid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Rules for what the model finds in the (already rule-redacted) text, one per category
+async function detectWithModel(text) {
+  const parts = splitText(text, CHUNK_CHARS);
+  log.info(`Looking for personal data with ${MODEL} in ${parts.length} part(s)...`);
+  const byCategory = new Map();
+  for (const part of parts) {
+    for (const entity of await requestEntities(part)) {
+      // Only what really is in the text; the model sometimes "corrects" what it quotes
+      if (!part.includes(entity.text)) continue;
+      byCategory.set(entity.category, [...(byCategory.get(entity.category) || []), entity.text]);
+    }
+  }
+  // Case-sensitive: "Jan" the person, not "jan" for januari
+  return [...byCategory.entries()]
+    .map(([category, values]) => literalRule(category, values, { ignoreCase: false }))
+    .filter(Boolean);
+}
+
+export function isModelDetectorEnabled() {
+  return process.env.REDACTION_MODEL_DETECTOR === "true";
+}
+
+// ======= TRANSCRIPTS =======
+// Returns a redacted copy of everything in the transcript that ends up in the Doc, subtitles or
+// transcript JSON, plus the report: { counts: { email: 2, ... }, total, detectors }.
+// Counts are taken on the speaker turns (or the text without turns); the segments, summary and
+// translations repeat the same content and are masked without being counted again.
+export async function redactTranscript(transcript, pipeline) {
+  let rules = buildRules(pipeline);
+  const detectors = ["rules"];
+
+  const counts = new Map();
+  const countSource = transcript.turns.length ? "turns" : "text";
+  const redact = (text, source) => redactText(text, rules, source === countSource ? counts : new Map());
+
+  if (isModelDetectorEnabled()) {
+    const ruleRedacted = transcript.turns.length
+      ? transcript.turns.map((turn) => redactText(turn.text, rules)).join("\n")
+      : redactText(transcript.text, rules);
+    rules = [...rules, ...(await detectWithModel(ruleRedacted))];
+    detectors.push("model");
+  }
+
+  const redacted = {
+    ...transcript,
+    text: redact(transcript.text, "text"),
+    segments: transcript.segments.map((segment) => ({ ...segment, text: redact(segment.text, "segments") })),
+    turns: transcript.turns.map((turn) => ({ ...turn, text: redact(turn.text, "turns") })),
+  };
+  if (transcript.summary) {
+    const { summary, decisions, actionItems } = transcript.summary;
+    redacted.summary = {
+      ...transcript.summary,
+      summary: redact(summary),
+      decisions: decisions.map((decision) => redact(decision)),
+      actionItems: actionItems.map((item) => ({
+        ...item,
+        task: redact(item.task),
+        owner: item.owner && redact(item.owner),
+      })),
+    };
+  }
+  if (transcript.translations) {
+    redacted.translations = transcript.translations.map((translation) => ({
+      ...translation,
+      text: redact(translation.text),
+      turns: translation.turns.map((turn) => ({ ...turn, text: redact(turn.text) })),
+    }));
+  }
+
+  const report = {
+    counts: Object.fromEntries(counts),
+    total: [...counts.values()].reduce((sum, count) => sum + count, 0),
+    detectors,
+  };
+  redacted.redaction = report;
+  return { transcript: redacted, report };
+}
+
+// "2 email, 1 phone" for the Doc's metadata table
+export function describeRedaction(report) {
+  const parts = Object.entries(report.counts).map(([category, count]) => `${count} ${category}`);
+  return parts.length ? parts.join(", ") : "Nothing found";
+}
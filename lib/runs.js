@@ -0,0 +1,212 @@
+// lib/runs.js
+//
+// History of processing runs: one summary per worker run (and per CLI folder/file command),
+// with every file's outcome, audio length and step timings. GET /api/stats aggregates them.
+// Summaries are stored next to the jobs: RUNS_DIR (default .runs) for the file store, or as
+// run-<id>.json in RUNS_FOLDER_ID (default JOBS_FOLDER_ID) for the Drive store.
+import { mkdir, readFile, writeFile, readdir, rename } from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { getDriveClient, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { STEP_LABELS } from "./errors.js";
+import { log } from "./log.js";
+
+// Timed parts of processFile, in the order they run
+export const TIMED_STEPS = ["download", "transcription", "doc", "move"];
+
+// ======= STORES =======
+function createFileStore() {
+  const dir = process.env.RUNS_DIR || path.join(process.cwd(), ".runs");
+
+  return {
+    async save(run) {
+      await mkdir(dir, { recursive: true });
+      const runPath = path.join(dir, `${run.id}.json`);
+      await writeFile(`${runPath}.tmp`, JSON.stringify(run, null, 2));
+      await rename(`${runPath}.tmp`, runPath);
+    },
+    async list(from) {
+      let names = [];
+      try {
+        names = await readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      const runs = await Promise.all(
+        names.filter((name) => name.endsWith(".json")).map(async (name) => JSON.parse(await readFile(path.join(dir, name), "utf8")))
+      );
+      return runs.filter((run) => run.finishedAt >= from);
+    },
+  };
+}
+
+function createDriveStore() {
+  const folderId = process.env.RUNS_FOLDER_ID || process.env.JOBS_FOLDER_ID;
+  if (!folderId) {
+    throw new Error("JOB_STORE is 'drive' but neither RUNS_FOLDER_ID nor JOBS_FOLDER_ID is set");
+  }
+
+  return {
+    async save(run) {
+      const drive = getDriveClient();
+      await drive.files.create({
+        ...DRIVE_PARAMS,
+        requestBody: {
+          name: `run-${run.id}.json`,
+          parents: [folderId],
+          appProperties: { runPipelineId: run.pipelineId, runFinishedAt: run.finishedAt },
+        },
+        media: { mimeType: "application/json", body: Readable.from([JSON.stringify(run)]) },
+        fields: "id",
+      });
+    },
+    // Summaries are written once, when the run finishes, so their creation time is the finish time
+    async list(from) {
+      const drive = getDriveClient();
+      const files = [];
+      let pageToken;
+      do {
+        const res = await drive.files.list({
+          ...DRIVE_LIST_PARAMS,
+          q: `'${folderId}' in parents and name contains 'run-' and createdTime >= '${from}' and trashed=false`,
+          fields: "nextPageToken, files(id)",
+          pageSize: 1000,
+          pageToken,
+        });
+        files.push(...(res.data.files || []));
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+
+      return Promise.all(files.map(async (file) => {
+        const res = await drive.files.get({ ...DRIVE_PARAMS, fileId: file.id, alt: "media" }, { responseType: "arraybuffer" });
+        return JSON.parse(Buffer.from(res.data).toString("utf8"));
+      }));
+    },
+  };
+}
+
+let cachedStore = null;
+
+// Same kind of store as the jobs (see lib/jobs.js)
+function getStore() {
+  if (cachedStore) return cachedStore;
+  const type = process.env.JOB_STORE || (process.env.JOBS_FOLDER_ID ? "drive" : "file");
+  if (type === "file") {
+    cachedStore = createFileStore();
+  } else if (type === "drive") {
+    cachedStore = createDriveStore();
+  } else {
+    throw new Error(`Unknown JOB_STORE "${type}". Use "file" or "drive".`);
+  }
+  return cachedStore;
+}
+
+// ======= RUNS =======
+// One file of a run, from a processFile result
+export function summarizeFile(result) {
+  return {
+    fileId: result.fileId || null,
+    fileName: result.fileName,
+    status: result.status,
+    stepId: result.stepId || undefined,
+    audioSeconds: result.audioSeconds ?? null,
+    timings: result.timings || {},
+  };
+}
+
+// Stores the summary of a finished run. History is a side concern: a failing store is logged,
+// never thrown, so it can't fail the run itself.
+export async function saveRun({ id, jobId = null, pipelineId, source, startedAt, results }) {
+  const finishedAt = new Date().toISOString();
+  const files = results.map(summarizeFile);
+  const run = {
+    id,
+    jobId,
+    pipelineId,
+    source,
+    startedAt,
+    finishedAt,
+    durationMs: new Date(finishedAt).getTime() - new Date(startedAt).getTime(),
+    processed: files.filter((file) => file.status === "success").length,
+    failed: files.filter((file) => file.status === "error").length,
+    audioSeconds: Math.round(files.reduce((sum, file) => sum + (file.status === "success" ? file.audioSeconds || 0 : 0), 0)),
+    files,
+  };
+  try {
+    await getStore().save(run);
+    log.info("Run summary saved", { processed: run.processed, failed: run.failed, durationMs: run.durationMs });
+  } catch (error) {
+    log.error("Could not save run summary", error);
+  }
+  return run;
+}
+
+// ======= STATS =======
+const WINDOW_UNITS = { h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+// "24h", "7d" -> milliseconds
+export function parseWindow(value) {
+  const match = /^(\d+)\s*([hd])$/i.exec(value || "");
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid window "${value}". Use hours or days, e.g. 24h or 30d.`);
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2].toLowerCase()];
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Throughput, failure rates by step, audio minutes and average step timings of the runs
+// that finished between from and to (ISO strings)
+export async function getStats({ from, to, pipelineId = null }) {
+  const runs = (await getStore().list(from))
+    .filter((run) => run.finishedAt >= from && run.finishedAt <= to)
+    .filter((run) => !pipelineId || run.pipelineId === pipelineId);
+  // Files over budget weren't attempted, so they count for neither throughput nor failures
+  const allFiles = runs.flatMap((run) => run.files);
+  const files = allFiles.filter((file) => file.status !== "budget_exceeded");
+  const processed = files.filter((file) => file.status === "success");
+  const failed = files.filter((file) => file.status === "error");
+  const hours = (new Date(to).getTime() - new Date(from).getTime()) / WINDOW_UNITS.h;
+  const audioMinutes = processed.reduce((sum, file) => sum + (file.audioSeconds || 0), 0) / 60;
+
+  const failuresByStep = {};
+  for (const file of failed) {
+    const stepId = file.stepId || "unknown";
+    failuresByStep[stepId] = failuresByStep[stepId] || { step: STEP_LABELS[stepId] || stepId, count: 0, rate: 0 };
+    failuresByStep[stepId].count++;
+  }
+  for (const entry of Object.values(failuresByStep)) {
+    entry.rate = round(entry.count / files.length, 3);
+  }
+
+  // Average over the files that ran the step; resumed files skip the steps done before
+  const timings = {};
+  for (const step of TIMED_STEPS) {
+    const values = files.map((file) => file.timings?.[step]).filter((ms) => typeof ms === "number");
+    timings[step] = values.length
+      ? { averageMs: Math.round(values.reduce((sum, ms) => sum + ms, 0) / values.length), files: values.length }
+      : null;
+  }
+
+  return {
+    from,
+    to,
+    pipeline: pipelineId,
+    runs: runs.length,
+    files: {
+      total: files.length,
+      processed: processed.length,
+      failed: failed.length,
+      overBudget: allFiles.length - files.length,
+    },
+    failureRate: files.length ? round(failed.length / files.length, 3) : 0,
+    failuresByStep,
+    audioMinutes: round(audioMinutes),
+    throughput: {
+      filesPerHour: round(processed.length / hours, 2),
+      audioMinutesPerHour: round(audioMinutes / hours, 2),
+    },
+    timings,
+  };
+}
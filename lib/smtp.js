@@ -0,0 +1,178 @@
+// lib/smtp.js
+//
+// A small SMTP client for notification emails: plain text mail, STARTTLS or implicit TLS,
+// and AUTH PLAIN. Enough for a mail relay or a local test sink, without a mail library.
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS, usually port 465),
+//   SMTP_USER, SMTP_PASS, SMTP_FROM
+// The login is only sent over TLS; SMTP_ALLOW_INSECURE_AUTH=true allows it in the clear,
+// for a relay on a trusted network that offers no STARTTLS.
+import net from "net";
+import tls from "tls";
+import os from "os";
+import { randomUUID } from "crypto";
+
+const TIMEOUT_MS = (Number(process.env.SMTP_TIMEOUT_SECONDS) || 20) * 1000;
+
+export function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+  const secure = process.env.SMTP_SECURE === "true";
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === "true",
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || `transcription@${os.hostname()}`,
+  };
+}
+
+// Reads complete (possibly multi-line) replies from the server, one per call
+function createReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+        lines = [];
+      }
+    }
+    deliver();
+  });
+  const fail = (error) => {
+    failure = failure || error;
+    deliver();
+  };
+  socket.on("error", fail);
+  socket.on("close", () => fail(Object.assign(new Error("SMTP connection closed"), { code: "ECONNRESET" })));
+  socket.setTimeout(TIMEOUT_MS, () => {
+    fail(Object.assign(new Error("SMTP server did not answer in time"), { code: "ETIMEDOUT" }));
+    socket.destroy();
+  });
+
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    deliver();
+  });
+}
+
+function smtpError(command, reply) {
+  const error = new Error(`SMTP ${command} failed: ${reply.text}`);
+  error.smtpCode = reply.code;
+  // 4xx replies are temporary (greylisting, busy server), 5xx are final
+  error.retryable = reply.code >= 400 && reply.code < 500;
+  return error;
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once("error", reject);
+  });
+}
+
+// RFC 2047 for non-ASCII headers
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${from.split("@")[1] || "localhost"}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// Sends one plain text mail. to is a list of addresses.
+export async function sendMail({ to, subject, text, from }, config = getSmtpConfig()) {
+  if (!config) {
+    throw new Error("Email notifications need SMTP_HOST (and usually SMTP_PORT, SMTP_USER, SMTP_PASS)");
+  }
+  const sender = from || config.from;
+
+  let socket = await connect(config);
+  let read = createReader(socket);
+  const command = async (line, expected, label = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    const reply = await read();
+    if (!expected.includes(reply.code)) throw smtpError(label, reply);
+    return reply;
+  };
+
+  try {
+    const greeting = await read();
+    if (greeting.code !== 220) throw smtpError("greeting", greeting);
+
+    const hostname = os.hostname();
+    let ehlo = await command(`EHLO ${hostname}`, [250]);
+    if (!config.secure && /\bSTARTTLS\b/i.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      socket.removeAllListeners("data");
+      socket = await upgradeToTls(socket, config.host);
+      read = createReader(socket);
+      ehlo = await command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (config.user) {
+      // A server that stops offering STARTTLS (or a proxy that strips it) must not get the password
+      if (!(socket instanceof tls.TLSSocket) && !config.allowInsecureAuth) {
+        const error = new Error(
+          `SMTP server ${config.host}:${config.port} offers no STARTTLS, so the login would be sent unencrypted. ` +
+          "Use SMTP_SECURE=true for a TLS port, or set SMTP_ALLOW_INSECURE_AUTH=true if the connection is trusted."
+        );
+        error.retryable = false;
+        throw error;
+      }
+      const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${sender.replace(/^.*<|>.*$/g, "")}>`, [250], "MAIL FROM");
+    for (const address of to) {
+      await command(`RCPT TO:<${address}>`, [250, 251], "RCPT TO");
+    }
+    await command("DATA", [354]);
+
+    // Lines starting with a dot get a second one, so they can't end the message early
+    const message = buildMessage({ from: sender, to, subject, text }).replace(/^\./gm, "..");
+    await command(`${message}\r\n.`, [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
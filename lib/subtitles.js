@@ -0,0 +1,57 @@
+// lib/subtitles.js
+
+const MAX_LINE_LENGTH = 42;
+
+// 3725.4 -> { h: 1, m: 2, s: 5, ms: 400 }
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  return {
+    h: Math.floor(totalMs / 3600000),
+    m: Math.floor((totalMs % 3600000) / 60000),
+    s: Math.floor((totalMs % 60000) / 1000),
+    ms: totalMs % 1000,
+  };
+}
+
+function formatCueTime(seconds, separator) {
+  const { h, m, s, ms } = splitTime(seconds);
+  const pad = (n, size = 2) => String(n).padStart(size, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+// Breaks cue text into lines of at most MAX_LINE_LENGTH characters, the usual caption width
+function wrapText(text) {
+  const lines = [];
+  let line = "";
+  for (const word of text.trim().split(/\s+/)) {
+    if (line && line.length + 1 + word.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+function toCues(segments) {
+  return segments
+    .filter((segment) => segment.text && segment.text.trim())
+    .map((segment) => ({ start: segment.start, end: segment.end, text: wrapText(segment.text) }));
+}
+
+export function toSrt(segments) {
+  return toCues(segments)
+    .map((cue, i) =>
+      `${i + 1}\n${formatCueTime(cue.start, ",")} --> ${formatCueTime(cue.end, ",")}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+export function toVtt(segments) {
+  const cues = toCues(segments).map((cue) =>
+    `${formatCueTime(cue.start, ".")} --> ${formatCueTime(cue.end, ".")}\n${cue.text}\n`
+  );
+  return ["WEBVTT\n", ...cues].join("\n");
+}
@@ -0,0 +1,167 @@
+// lib/summary.js
+//
+// Meeting notes (executive summary, decisions, action items) generated from a
+// transcript with a chat model. Long transcripts are summarized map-reduce
+// style: every part of the transcript is turned into notes on its own, and the
+// notes are then merged - in rounds if needed - into the final result. No
+// single request ever has to hold the whole meeting.
+import { getOpenAIClient, describeOpenAIKeyError, isOpenAIKeyError } from "./openai.js";
+import { withRetry } from "./errors.js";
+import { log } from "./log.js";
+
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || "gpt-4o-mini";
+// Roughly 3-4k tokens per request, leaving plenty of room for instructions and output
+const CHUNK_CHARS = Number(process.env.SUMMARY_CHUNK_CHARS) || 12000;
+
+const NOTES_FORMAT =
+  `Respond with JSON only, in this shape:\n` +
+  `{"summary": "...", "decisions": ["..."], "actionItems": [{"task": "...", "owner": "... or null", "due": "... or null"}]}\n` +
+  `Only include decisions and action items that are actually stated. Use the speaker labels or names ` +
+  `from the transcript as owners. Write in the same language as the transcript.`;
+
+const MAP_PROMPT =
+  `You take meeting notes. You get one part of a longer meeting transcript. ` +
+  `Summarize what was discussed in this part and list the decisions made and action items agreed.\n\n` +
+  NOTES_FORMAT;
+
+const REDUCE_PROMPT =
+  `You take meeting notes. You get notes taken from consecutive parts of one meeting, in order. ` +
+  `Merge them into notes for the whole meeting: an executive summary of at most three short paragraphs, ` +
+  `and the decisions and action items with duplicates removed.\n\n` +
+  NOTES_FORMAT;
+
+export function isSummaryEnabled(pipeline) {
+  if (typeof pipeline.summary === "boolean") return pipeline.summary;
+  return process.env.SUMMARY_ENABLED === "true";
+}
+
+// Splits text into pieces of at most maxChars, preferring paragraph boundaries
+export function splitText(text, maxChars) {
+  const parts = [];
+  let current = "";
+  for (const paragraph of text.split(/\n+/)) {
+    if (current && current.length + paragraph.length + 1 > maxChars) {
+      parts.push(current);
+      current = "";
+    }
+    // A single paragraph longer than the limit is cut hard
+    let rest = paragraph;
+    while (rest.length > maxChars) {
+      parts.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    current = current ? `${current}\n${rest}` : rest;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+function normalizeNotes(data) {
+  return {
+    summary: typeof data.summary === "string" ? data.summary.trim() : "",
+    decisions: Array.isArray(data.decisions) ? data.decisions.filter(Boolean).map(String) : [],
+    actionItems: Array.isArray(data.actionItems)
+      ? data.actionItems
+          .filter((item) => item && item.task)
+          .map((item) => ({ task: String(item.task), owner: item.owner || null, due: item.due || null }))
+      : [],
+  };
+}
+
+async function requestNotes(systemPrompt, content) {
+  const openai = getOpenAIClient();
+  try {
+    const completion = await withRetry(() => openai.chat.completions.create({
+      model: SUMMARY_MODEL,
+      response_format: { type: "json_object" },
+      temperature: 0.2,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content },
+      ],
+    }), "Summary request");
+    return normalizeNotes(JSON.parse(completion.choices[0].message.content));
+  } catch (error) {
+    if (isOpenAIKeyError(error)) {
+      throw describeOpenAIKeyError(error);
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`Summary model returned invalid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Groups notes into batches that fit in one request, at least two per batch so every round gets smaller
+function batchNotes(notes) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (const note of notes) {
+    const noteSize = JSON.stringify(note).length;
+    if (batch.length >= 2 && size + noteSize > CHUNK_CHARS) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(note);
+    size += noteSize;
+  }
+  if (batch.length) batches.push(batch);
+  return batches;
+}
+
+export async function summarizeTranscript(text) {
+  const parts = splitText(text, CHUNK_CHARS);
+  if (!parts.length) {
+    return { summary: "", decisions: [], actionItems: [] };
+  }
+
+  // Map: notes per part of the transcript
+  log.info(`Summarizing transcript in ${parts.length} part(s)...`);
+  let notes = [];
+  for (const [i, part] of parts.entries()) {
+    notes.push(await requestNotes(MAP_PROMPT, `Part ${i + 1} of ${parts.length}:\n\n${part}`));
+  }
+
+  // Reduce: merge notes until one set is left
+  while (notes.length > 1) {
+    const batches = batchNotes(notes);
+    log.info(`Merging ${notes.length} sets of notes in ${batches.length} batch(es)...`);
+    const merged = [];
+    for (const batch of batches) {
+      merged.push(batch.length === 1 ? batch[0] : await requestNotes(REDUCE_PROMPT, JSON.stringify(batch)));
+    }
+    notes = merged;
+  }
+
+  return { ...notes[0], model: SUMMARY_MODEL };
+}
+
+// "Send the quote (Anna, due Friday)"
+export function formatActionItem(item) {
+  const details = [item.owner, item.due && `due ${item.due}`].filter(Boolean).join(", ");
+  return details ? `${item.task} (${details})` : item.task;
+}
+
+// Document blocks (see lib/document.js) for the notes, placed above the transcript
+export function summaryToBlocks(notes) {
+  const blocks = [{ text: "Summary", style: "HEADING_1" }];
+  blocks.push({ text: notes.summary || "No summary available." });
+
+  blocks.push({ text: "Decisions", style: "HEADING_1" });
+  if (notes.decisions.length) {
+    blocks.push(...notes.decisions.map((decision) => ({ text: decision, bullet: true })));
+  } else {
+    blocks.push({ text: "No decisions recorded." });
+  }
+
+  blocks.push({ text: "Action items", style: "HEADING_1" });
+  if (notes.actionItems.length) {
+    blocks.push(...notes.actionItems.map((item) => ({ text: formatActionItem(item), bullet: true })));
+  } else {
+    blocks.push({ text: "No action items recorded." });
+  }
+
+  return blocks;
+}
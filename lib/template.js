@@ -0,0 +1,190 @@
+// lib/template.js
+//
+// Transcript Docs in a team's house style: instead of starting from a blank document, the
+// pipeline's template Doc is copied into the output folder and its placeholders are filled in:
+//   {{title}} {{date}} {{duration}} {{summary}} {{transcript}} ...
+// Placeholders the pipeline has no value for are left as they are. One block of paragraphs
+// can be repeated per speaker turn, between two marker paragraphs of their own:
+//   {{#segments}}
+//   [{{start}}] {{speaker}}: {{text}}
+//   {{/segments}}
+// Every copy keeps the text and paragraph styles of the block, so a bold timestamp stays bold.
+import { getDriveClient, getDocsClient, describeAccount, DRIVE_PARAMS } from "./google.js";
+import { withRetry } from "./errors.js";
+import { updateDocumentOnce } from "./document.js";
+import { log } from "./log.js";
+
+const BLOCK_START = "{{#segments}}";
+const BLOCK_END = "{{/segments}}";
+
+// Paragraph style fields copied onto the repeated paragraphs. The rest (headingId, ...) is
+// either read-only or set by the document itself.
+const PARAGRAPH_FIELDS = [
+  "namedStyleType", "alignment", "lineSpacing", "direction", "spaceAbove", "spaceBelow",
+  "indentFirstLine", "indentStart", "indentEnd", "keepLinesTogether", "keepWithNext",
+];
+
+export function getTemplateId(pipeline) {
+  return pipeline.docTemplateId || process.env.DOC_TEMPLATE_ID || null;
+}
+
+function paragraphText(element) {
+  return element.paragraph.elements.map((part) => part.textRun?.content || "").join("");
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+// Request giving [startIndex, endIndex) the paragraph style of a template paragraph, if it has one
+function paragraphStyleRequest(element, startIndex, endIndex) {
+  const style = element.paragraph.paragraphStyle || {};
+  const fields = PARAGRAPH_FIELDS.filter((field) => style[field] !== undefined);
+  if (!fields.length) return null;
+  return {
+    updateParagraphStyle: {
+      range: { startIndex, endIndex },
+      paragraphStyle: Object.fromEntries(fields.map((field) => [field, style[field]])),
+      fields: fields.join(","),
+    },
+  };
+}
+
+// Copies the template into the output folder under the Doc's title
+async function copyTemplate(templateId, title, folderId) {
+  const drive = getDriveClient();
+  try {
+    const copy = await withRetry(() => drive.files.copy({
+      ...DRIVE_PARAMS,
+      fileId: templateId,
+      requestBody: { name: title, parents: [folderId] },
+      fields: "id",
+    }), "Template copy");
+    return copy.data.id;
+  } catch (error) {
+    if (error.code === 404) {
+      throw new Error(`Template Doc ${templateId} not found. Share it with ${describeAccount()} (Viewer is enough).`);
+    }
+    if (error.errors?.some((e) => e.reason === "storageQuotaExceeded")) {
+      throw new Error(
+        `Could not copy template Doc ${templateId}: ${describeAccount()} has no Drive storage of its own. ` +
+        `Use an output folder on a Shared Drive, or act as a Google user (GOOGLE_AUTH_MODE).`
+      );
+    }
+    throw error;
+  }
+}
+
+// Requests replacing the {{#segments}} ... {{/segments}} block with one copy per entry of
+// `items` (objects with the values for {{start}}, {{end}}, {{speaker}} and {{text}}).
+// Returns [] when the template has no block.
+export function buildSegmentRequests(content, items) {
+  const startAt = content.findIndex((element) => element.paragraph && paragraphText(element).trim() === BLOCK_START);
+  if (startAt === -1) return [];
+  const endAt = content.findIndex((element, i) => i > startAt && element.paragraph && paragraphText(element).trim() === BLOCK_END);
+  if (endAt === -1) {
+    throw new Error(`Template has ${BLOCK_START} without a matching ${BLOCK_END}`);
+  }
+  const block = content.slice(startAt + 1, endAt);
+  if (block.some((element) => !element.paragraph)) {
+    throw new Error(`Only paragraphs can be repeated between ${BLOCK_START} and ${BLOCK_END}, not tables`);
+  }
+
+  // The last newline of the body can't be deleted. A block at the very end keeps it, and the
+  // inserted text leaves off its own last newline, so the Doc doesn't end in an empty paragraph.
+  const atEnd = endAt === content.length - 1;
+  const startIndex = content[startAt].startIndex;
+  const endIndex = content[endAt].endIndex - (atEnd ? 1 : 0);
+
+  let text = "";
+  const styleRequests = [];
+  for (const item of items) {
+    for (const element of block) {
+      const paragraphStart = startIndex + text.length;
+      for (const part of element.paragraph.elements) {
+        if (!part.textRun) continue;
+        const runText = fillPlaceholders(part.textRun.content, item);
+        if (!runText) continue;
+        styleRequests.push({
+          updateTextStyle: {
+            range: { startIndex: startIndex + text.length, endIndex: startIndex + text.length + runText.length },
+            textStyle: part.textRun.textStyle || {},
+            fields: "*",
+          },
+        });
+        text += runText;
+      }
+      if (!text.endsWith("\n")) text += "\n";
+
+      const styleRequest = paragraphStyleRequest(element, paragraphStart, startIndex + text.length);
+      if (styleRequest) styleRequests.push(styleRequest);
+    }
+  }
+
+  // Nothing to insert at the very end: the newline that has to stay then ends the paragraph before
+  // the block, which gets its own style back, instead of being left as an empty paragraph
+  const previous = content[startAt - 1];
+  if (atEnd && !text && previous?.paragraph) {
+    const styleRequest = paragraphStyleRequest(previous, previous.startIndex, startIndex);
+    return [
+      { deleteContentRange: { range: { startIndex: startIndex - 1, endIndex } } },
+      ...(styleRequest ? [styleRequest] : []),
+    ];
+  }
+
+  if (atEnd && text) {
+    text = text.slice(0, -1);
+    // Text styles stop before the body's last newline; a paragraph style still reaches its paragraph
+    const limit = startIndex + text.length;
+    for (const request of styleRequests) {
+      const range = (request.updateTextStyle || request.updateParagraphStyle).range;
+      range.endIndex = Math.max(Math.min(range.endIndex, limit), request.updateParagraphStyle ? range.startIndex + 1 : 0);
+    }
+  }
+
+  const requests = [{ deleteContentRange: { range: { startIndex, endIndex } } }];
+  if (text) {
+    requests.push(
+      { insertText: { location: { index: startIndex }, text } },
+      ...styleRequests.filter((request) => request.updateParagraphStyle || request.updateTextStyle.range.endIndex > request.updateTextStyle.range.startIndex)
+    );
+  }
+  return requests;
+}
+
+// Copies the template and fills it in. `values` maps placeholder names to text, `segments`
+// are the entries of the repeated block. A copy that can't be filled in is removed again,
+// so a rerun doesn't leave half-finished Docs behind.
+export async function createDocFromTemplate(templateId, title, folderId, values, segments) {
+  log.info(`Copying template Doc ${templateId}...`);
+  const documentId = await copyTemplate(templateId, title, folderId);
+  const docs = getDocsClient();
+
+  try {
+    const replaceRequests = Object.entries(values).map(([key, value]) => ({
+      replaceAllText: {
+        containsText: { text: `{{${key}}}`, matchCase: true },
+        replaceText: String(value ?? ""),
+      },
+    }));
+    await updateDocumentOnce(docs, documentId, replaceRequests);
+
+    // The block is expanded after the other placeholders, so a {{title}} inside it is filled in too
+    const doc = await withRetry(() => docs.documents.get({ documentId }), "Docs read");
+    const segmentRequests = buildSegmentRequests(doc.data.body.content, segments);
+    if (segmentRequests.length) {
+      log.info(`Repeating the template's segment block for ${segments.length} segment(s)...`);
+      await updateDocumentOnce(docs, documentId, segmentRequests);
+    }
+  } catch (error) {
+    try {
+      await getDriveClient().files.delete({ ...DRIVE_PARAMS, fileId: documentId });
+    } catch (deleteError) {
+      log.warn(`Could not remove the unfinished template copy ${documentId}`, deleteError);
+    }
+    throw error;
+  }
+
+  log.info(`Google Doc created from template: ${documentId}`);
+  return documentId;
+}
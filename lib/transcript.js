@@ -0,0 +1,147 @@
+// lib/transcript.js
+
+// Splits a recording of `duration` seconds into windows of `chunkSeconds`,
+// each one starting `overlapSeconds` before the previous one ends
+export function planChunks(duration, chunkSeconds, overlapSeconds) {
+  if (overlapSeconds >= chunkSeconds) {
+    throw new Error("Chunk overlap must be shorter than the chunk length");
+  }
+
+  const chunks = [];
+  let start = 0;
+  while (start < duration) {
+    const end = Math.min(start + chunkSeconds, duration);
+    chunks.push({ index: chunks.length, start, end });
+    if (end >= duration) break;
+    start = end - overlapSeconds;
+  }
+  return chunks;
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
+
+// Number of words at the start of `next` that repeat the end of `previous`
+function countOverlappingWords(previous, next, maxWords = 30) {
+  const prevWords = previous.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const nextWords = next.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const limit = Math.min(maxWords, prevWords.length, nextWords.length);
+
+  for (let size = limit; size > 0; size--) {
+    const tail = prevWords.slice(prevWords.length - size);
+    const head = nextWords.slice(0, size);
+    if (tail.every((word, i) => word && word === head[i])) {
+      return size;
+    }
+  }
+  return 0;
+}
+
+function dropLeadingWords(text, count) {
+  return text.trim().split(/\s+/).slice(count).join(" ");
+}
+
+// Merges per-chunk transcription results into one transcript.
+// Each entry is { start, end, segments, text } where segment times are relative
+// to the chunk. Segment times are shifted onto the recording's timeline, and in
+// the overlap between two chunks everything before the midpoint is taken from
+// the earlier chunk and everything after from the later one. Words that still
+// appear on both sides of the cut are removed from the later chunk.
+export function stitchChunks(chunkResults) {
+  const segments = [];
+
+  chunkResults.forEach((chunk, i) => {
+    const previous = chunkResults[i - 1];
+    const next = chunkResults[i + 1];
+    const cutStart = previous ? (chunk.start + previous.end) / 2 : -Infinity;
+    const cutEnd = next ? (next.start + chunk.end) / 2 : Infinity;
+
+    const chunkSegments = (chunk.segments || [])
+      .map((segment) => ({
+        ...segment,
+        start: segment.start + chunk.start,
+        end: segment.end + chunk.start,
+      }))
+      .filter((segment) => segment.start >= cutStart && segment.start < cutEnd);
+
+    if (chunkSegments.length && segments.length) {
+      const last = segments[segments.length - 1];
+      const first = chunkSegments[0];
+      const duplicated = countOverlappingWords(last.text, first.text);
+      if (duplicated) {
+        first.text = dropLeadingWords(first.text, duplicated);
+        if (!first.text) chunkSegments.shift();
+      }
+    }
+
+    segments.push(...chunkSegments);
+  });
+
+  const renumbered = segments.map((segment, id) => ({ ...segment, id, text: segment.text.trim() }));
+
+  return {
+    text: renumbered.map((segment) => segment.text).join(" "),
+    segments: renumbered,
+    duration: chunkResults.length ? chunkResults[chunkResults.length - 1].end : 0,
+    language: chunkResults.find((chunk) => chunk.language)?.language || null,
+  };
+}
+
+// 3725.4 -> "01:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+// Groups consecutive segments of the same speaker into turns. A single speaker
+// talking for a long time is still broken up every `maxTurnSeconds`, so the
+// transcript keeps regular timestamps to jump back into the audio.
+export function groupIntoTurns(segments, maxTurnSeconds = 60) {
+  const turns = [];
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    if (!text) continue;
+
+    const current = turns[turns.length - 1];
+    if (current && current.speaker === segment.speaker && segment.end - current.start <= maxTurnSeconds) {
+      current.end = segment.end;
+      current.text += " " + text;
+      continue;
+    }
+    turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text });
+  }
+  return turns;
+}
+
+// One paragraph per turn: "[00:01:23] Speaker 1: ..."
+export function renderTurns(turns) {
+  return turns
+    .map((turn) => {
+      const label = turn.speaker ? ` ${turn.speaker}:` : "";
+      return `[${formatTimestamp(turn.start)}]${label} ${turn.text}`;
+    })
+    .join("\n\n");
+}
+
+// Document blocks (see lib/document.js): one paragraph per turn, timestamp and speaker in bold
+export function turnsToBlocks(turns) {
+  return turns.map((turn) => {
+    const prefix = `[${formatTimestamp(turn.start)}]${turn.speaker ? ` ${turn.speaker}:` : ""}`;
+    return { text: `${prefix} ${turn.text}`, boldPrefix: prefix.length, spaceBelow: 8 };
+  });
+}
+
+// Without segment timings, plain text is broken into paragraphs of a few sentences each
+export function paragraphsToBlocks(text, sentencesPerParagraph = 5) {
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [];
+  const blocks = [];
+  for (let i = 0; i < sentences.length; i += sentencesPerParagraph) {
+    const paragraph = sentences.slice(i, i + sentencesPerParagraph).join("").trim();
+    if (paragraph) blocks.push({ text: paragraph, spaceBelow: 8 });
+  }
+  return blocks;
+}
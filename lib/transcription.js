@@ -0,0 +1,187 @@
+// lib/transcription.js
+//
+// Transcription providers. Each one turns an audio buffer into
+// { text, segments: [{ start, end, text }], duration }.
+// Providers that can also translate audio into English have a translate method with the same result.
+// Pick one with TRANSCRIPTION_PROVIDER:
+//   openai - OpenAI's hosted API (default)
+//   http   - any server speaking the OpenAI transcription API, e.g. a self-hosted
+//            whisper.cpp or faster-whisper server, so recordings never leave our hardware
+// TRANSCRIPTION_MODEL picks the default model for either provider; pipelines can override it.
+import { getOpenAIClient, describeOpenAIKeyError, isOpenAIKeyError } from "./openai.js";
+import { StepError } from "./errors.js";
+
+// The translations endpoint only has Whisper, whatever TRANSCRIPTION_MODEL says
+const TRANSLATION_AUDIO_MODEL = process.env.TRANSLATION_AUDIO_MODEL || "whisper-1";
+
+// OpenAI rejects uploads above 25 MB; stay a little under it to leave room for multipart overhead
+const DEFAULT_MAX_UPLOAD_MB = 24;
+
+// A hung self-hosted server would otherwise hold the worker until the platform kills it
+const HTTP_TIMEOUT_MS = (Number(process.env.TRANSCRIPTION_TIMEOUT_SECONDS) || 120) * 1000;
+
+// mimeType comes from the detected format (see lib/media.js), not from the file name
+function toFile(audioBuffer, fileName, mimeType) {
+  // Node.js 20+ (used by Vercel) has the File API available
+  return new File([audioBuffer], fileName, { type: mimeType || "audio/mpeg" });
+}
+
+function normalizeResult(data) {
+  return {
+    text: data.text || "",
+    segments: (data.segments || []).map((segment) => ({
+      id: segment.id,
+      start: Number(segment.start),
+      end: Number(segment.end),
+      text: segment.text,
+    })),
+    duration: data.duration,
+    language: data.language || null,
+  };
+}
+
+function createOpenAIProvider() {
+  const model = process.env.TRANSCRIPTION_MODEL || "whisper-1";
+
+  async function request(fileName, call) {
+    try {
+      return normalizeResult(await call());
+    } catch (error) {
+      // Provide more helpful error messages
+      if (isOpenAIKeyError(error)) {
+        throw describeOpenAIKeyError(error);
+      }
+      if (error.status === 400 && (error.message.includes('file') || error.message.includes('format'))) {
+        const formatError = new Error(`Failed to transcribe audio file "${fileName}": ${error.message}. Ensure the file is a valid audio format.`);
+        formatError.status = error.status;
+        throw formatError;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: "openai",
+    model,
+    translationModel: TRANSLATION_AUDIO_MODEL,
+    maxUploadBytes: DEFAULT_MAX_UPLOAD_MB * 1024 * 1024,
+    async transcribe(audioBuffer, fileName, { prompt, language, model: modelOverride, mimeType } = {}) {
+      return request(fileName, () => getOpenAIClient().audio.transcriptions.create({
+        file: toFile(audioBuffer, fileName, mimeType),
+        model: modelOverride || model,
+        // verbose_json includes segment start/end times, needed to stitch chunks together
+        response_format: "verbose_json",
+        prompt: prompt || undefined,
+        language: language || undefined,
+      }));
+    },
+    // Into English only
+    async translate(audioBuffer, fileName, { prompt, mimeType } = {}) {
+      return request(fileName, () => getOpenAIClient().audio.translations.create({
+        file: toFile(audioBuffer, fileName, mimeType),
+        model: TRANSLATION_AUDIO_MODEL,
+        response_format: "verbose_json",
+        prompt: prompt || undefined,
+      }));
+    },
+  };
+}
+
+function createHttpProvider() {
+  const endpoint = process.env.TRANSCRIPTION_ENDPOINT;
+  if (!endpoint) {
+    throw new Error(
+      "TRANSCRIPTION_PROVIDER is 'http' but TRANSCRIPTION_ENDPOINT is not set. " +
+      "Point it at the transcription URL of your server, e.g. http://whisper.internal:8000/v1/audio/transcriptions"
+    );
+  }
+  const model = process.env.TRANSCRIPTION_MODEL || "whisper-1";
+  const maxUploadMb = Number(process.env.TRANSCRIPTION_MAX_UPLOAD_MB) || DEFAULT_MAX_UPLOAD_MB;
+
+  // Servers following the OpenAI API have translations next to transcriptions
+  const translationEndpoint = process.env.TRANSLATION_ENDPOINT || endpoint.replace(/transcriptions\/?$/, "translations");
+
+  async function post(url, form, fileName) {
+    const headers = {};
+    if (process.env.TRANSCRIPTION_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.TRANSCRIPTION_API_KEY}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { method: "POST", body: form, headers, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    } catch (error) {
+      if (error.name === "TimeoutError" || error.name === "AbortError") {
+        throw new StepError("transcribe", `Transcription server at ${url} did not answer within ${HTTP_TIMEOUT_MS / 1000}s`, {
+          retryable: true,
+          code: "ETIMEDOUT",
+          cause: error,
+        });
+      }
+      const networkError = new Error(`Could not reach transcription server at ${url}: ${error.message}`);
+      networkError.retryable = true;
+      throw networkError;
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      const serverError = new Error(
+        `Transcription server returned ${response.status} for "${fileName}": ${body.slice(0, 300)}`
+      );
+      serverError.status = response.status;
+      serverError.headers = response.headers;
+      throw serverError;
+    }
+    return normalizeResult(await response.json());
+  }
+
+  return {
+    name: "http",
+    model,
+    translationModel: process.env.TRANSLATION_AUDIO_MODEL || model,
+    maxUploadBytes: maxUploadMb * 1024 * 1024,
+    async transcribe(audioBuffer, fileName, { prompt, language, model: modelOverride, mimeType } = {}) {
+      const form = new FormData();
+      form.append("file", toFile(audioBuffer, fileName, mimeType));
+      form.append("model", modelOverride || model);
+      form.append("response_format", "verbose_json");
+      if (prompt) form.append("prompt", prompt);
+      if (language) form.append("language", language);
+      return post(endpoint, form, fileName);
+    },
+    // Into English only
+    async translate(audioBuffer, fileName, { prompt, mimeType } = {}) {
+      const form = new FormData();
+      form.append("file", toFile(audioBuffer, fileName, mimeType));
+      form.append("model", process.env.TRANSLATION_AUDIO_MODEL || model);
+      form.append("response_format", "verbose_json");
+      if (prompt) form.append("prompt", prompt);
+      return post(translationEndpoint, form, fileName);
+    },
+  };
+}
+
+const providers = {
+  openai: createOpenAIProvider,
+  http: createHttpProvider,
+};
+
+export function registerTranscriptionProvider(name, factory) {
+  providers[name] = factory;
+}
+
+let cachedProvider = null;
+
+export function getTranscriptionProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const name = process.env.TRANSCRIPTION_PROVIDER || "openai";
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown TRANSCRIPTION_PROVIDER "${name}". Available: ${Object.keys(providers).join(", ")}`
+    );
+  }
+  cachedProvider = factory();
+  return cachedProvider;
+}
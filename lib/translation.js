@@ -0,0 +1,147 @@
+// lib/translation.js
+//
+// Translated versions of a transcript, for stakeholders who don't speak the meeting's language.
+// Pipelines list their target languages in "translations" and pick a method:
+//   text  - the speaker turns are translated with a chat model, a chunk of turns per request,
+//           each turn keeping its timestamp and speaker (default, any target language)
+//   audio - the recording goes to the transcription provider's translations endpoint.
+//           Whisper only translates into English; other languages use the text method.
+import { getOpenAIClient, describeOpenAIKeyError, isOpenAIKeyError } from "./openai.js";
+import { withRetry } from "./errors.js";
+import { groupIntoTurns } from "./transcript.js";
+import { log } from "./log.js";
+
+const TRANSLATION_MODEL = process.env.TRANSLATION_MODEL || "gpt-4o-mini";
+// Translations come back about as long as they go in, so chunks are smaller than for summaries
+const CHUNK_CHARS = Number(process.env.TRANSLATION_CHUNK_CHARS) || 6000;
+
+// "en" -> "English"; unknown codes are shown as they are
+export function languageName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// Whisper reports the detected language as a name ("dutch"), other servers as a code ("nl")
+export function isSameLanguage(code, detected) {
+  if (!detected) return false;
+  const base = code.split("-")[0].toLowerCase();
+  const value = detected.toLowerCase();
+  return value === base || value === code.toLowerCase() || value === languageName(base).toLowerCase();
+}
+
+// Whether a language can go through the audio translations endpoint
+export function canTranslateAudio(code) {
+  return code.split("-")[0].toLowerCase() === "en";
+}
+
+function translationPrompt(language) {
+  return (
+    `You translate meeting transcripts into ${languageName(language)}. You get JSON in the shape ` +
+    `{"items": [{"id": 0, "text": "..."}]}, consecutive parts of one conversation. Respond with JSON only, ` +
+    `in the same shape, with the same ids and every text translated. Don't merge, split, summarize or ` +
+    `skip items. Keep names, product names and numbers as they are.`
+  );
+}
+
+// Groups items into chunks of at most CHUNK_CHARS of text
+function chunkItems(items) {
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+  for (const item of items) {
+    if (chunk.length && size + item.text.length > CHUNK_CHARS) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push(item);
+    size += item.text.length;
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+// Map id -> translated text for one chunk
+async function requestTranslation(items, language) {
+  const openai = getOpenAIClient();
+  try {
+    const completion = await withRetry(() => openai.chat.completions.create({
+      model: TRANSLATION_MODEL,
+      response_format: { type: "json_object" },
+      temperature: 0.2,
+      messages: [
+        { role: "system", content: translationPrompt(language) },
+        { role: "user", content: JSON.stringify({ items }) },
+      ],
+    }), "Translation request");
+    const data = JSON.parse(completion.choices[0].message.content);
+    return new Map(
+      (Array.isArray(data.items) ? data.items : [])
+        .filter((item) => item && typeof item.text === "string")
+        .map((item) => [Number(item.id), item.text.trim()])
+    );
+  } catch (error) {
+    if (isOpenAIKeyError(error)) {
+      throw describeOpenAIKeyError(error);
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`Translation model returned invalid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Translates a list of texts, in order. Items the model leaves out keep their original
+// text rather than failing the whole translation; their number is returned as `untranslated`.
+async function translateItems(texts, language) {
+  const items = texts.map((text, id) => ({ id, text }));
+  const chunks = chunkItems(items);
+  log.info(`Translating into ${languageName(language)} in ${chunks.length} part(s)...`);
+
+  const translated = [...texts];
+  let untranslated = 0;
+  for (const chunk of chunks) {
+    const results = await requestTranslation(chunk, language);
+    for (const item of chunk) {
+      if (results.get(item.id)) {
+        translated[item.id] = results.get(item.id);
+      } else {
+        untranslated++;
+      }
+    }
+  }
+  if (untranslated) {
+    log.warn(`${untranslated} part(s) were not translated into ${language} and keep their original text`);
+  }
+  return { texts: translated, untranslated };
+}
+
+// Text method: the same turns, with translated text. Transcripts without timings are
+// translated sentence by sentence.
+export async function translateTranscript(transcript, language) {
+  const base = { language, name: languageName(language), method: "text", model: TRANSLATION_MODEL };
+
+  if (transcript.turns.length) {
+    const { texts, untranslated } = await translateItems(transcript.turns.map((turn) => turn.text), language);
+    const turns = transcript.turns.map((turn, i) => ({ ...turn, text: texts[i] }));
+    return { ...base, turns, text: texts.join(" "), untranslated };
+  }
+
+  const sentences = (transcript.text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || []).map((s) => s.trim()).filter(Boolean);
+  const { texts, untranslated } = await translateItems(sentences, language);
+  return { ...base, turns: [], text: texts.join(" "), untranslated };
+}
+
+// Audio method: the translated segments get the speaker of the original turn they fall in
+export function turnsFromTranslatedSegments(segments, originalTurns) {
+  const speakerAt = (time) => originalTurns.find((turn) => time >= turn.start && time <= turn.end)?.speaker ?? null;
+  return groupIntoTurns(segments.map((segment) => ({ ...segment, speaker: speakerAt((segment.start + segment.end) / 2) })));
+}
+
+// Heading above a translated transcript, in its own Doc or in a section of the transcript Doc
+export function translationHeading(translation) {
+  return `Translation: ${translation.name}`;
+}
@@ -0,0 +1,149 @@
+// lib/watch.js
+//
+// Google Drive push notifications for the input folders. We register one
+// changes.watch channel pointing at /api/drive-webhook; Drive then pings that
+// URL whenever something changes, and the webhook reads the actual changes
+// with changes.list. Channel details and the changes page token are stored as
+// appProperties on the input folder of the first pipeline.
+import { randomUUID, timingSafeEqual } from "crypto";
+import { getDriveClient, DRIVE_PARAMS, DRIVE_LIST_PARAMS } from "./google.js";
+import { getPipelines } from "./pipeline-config.js";
+import { log } from "./log.js";
+
+const PREFIX = "watch_";
+const FIELDS = ["channelId", "resourceId", "expiration", "pageToken", "lastMessage"];
+
+// Drive allows changes channels of at most a week
+const CHANNEL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Renew a channel once it has less than this much time left
+const RENEW_BEFORE_MS = (Number(process.env.DRIVE_WATCH_RENEW_HOURS) || 24) * 60 * 60 * 1000;
+
+function getWebhookToken() {
+  const token = process.env.DRIVE_WEBHOOK_TOKEN;
+  if (!token) {
+    throw new Error("DRIVE_WEBHOOK_TOKEN is not set. Choose a random secret to verify Drive notifications.");
+  }
+  return token;
+}
+
+// The folder whose appProperties hold the channel state
+export function getWatchStateFolderId() {
+  return getPipelines()[0].inputFolderId;
+}
+
+export function verifyChannelToken(received) {
+  const expected = Buffer.from(getWebhookToken());
+  const actual = Buffer.from(received || "");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+export async function getWatchState(folderId) {
+  const drive = getDriveClient();
+  const res = await drive.files.get({ ...DRIVE_PARAMS, fileId: folderId, fields: "appProperties" });
+  const props = res.data.appProperties || {};
+  const state = {};
+  for (const field of FIELDS) {
+    state[field] = props[`${PREFIX}${field}`] || null;
+  }
+  return state;
+}
+
+export async function saveWatchState(folderId, state) {
+  const appProperties = {};
+  for (const field of FIELDS) {
+    // null removes the property
+    appProperties[`${PREFIX}${field}`] = state[field] ?? null;
+  }
+  const drive = getDriveClient();
+  await drive.files.update({ ...DRIVE_PARAMS, fileId: folderId, requestBody: { appProperties }, fields: "id" });
+}
+
+export function needsRenewal(state) {
+  if (!state.channelId || !state.expiration) return true;
+  return Number(state.expiration) - Date.now() < RENEW_BEFORE_MS;
+}
+
+async function stopChannel(state) {
+  if (!state.channelId || !state.resourceId) return;
+  const drive = getDriveClient();
+  try {
+    await drive.channels.stop({ requestBody: { id: state.channelId, resourceId: state.resourceId } });
+  } catch (error) {
+    // An expired channel can't be stopped, which is fine
+    log.warn(`Could not stop channel ${state.channelId}`, error);
+  }
+}
+
+// Registers a new channel (replacing the current one) unless the current one is still valid for a while
+export async function registerWatch(folderId, baseUrl, { force = false } = {}) {
+  const state = await getWatchState(folderId);
+  if (!force && !needsRenewal(state)) {
+    return { state, renewed: false };
+  }
+
+  const drive = getDriveClient();
+  // Keep reading changes from where the previous channel left off
+  let pageToken = state.pageToken;
+  if (!pageToken) {
+    const tokenRes = await drive.changes.getStartPageToken({ ...DRIVE_PARAMS });
+    pageToken = tokenRes.data.startPageToken;
+  }
+
+  const channelId = randomUUID();
+  const res = await drive.changes.watch({
+    ...DRIVE_LIST_PARAMS,
+    pageToken,
+    requestBody: {
+      id: channelId,
+      type: "web_hook",
+      address: `${baseUrl}/api/drive-webhook`,
+      token: getWebhookToken(),
+      expiration: String(Date.now() + CHANNEL_TTL_MS),
+    },
+  });
+
+  await stopChannel(state);
+
+  const newState = {
+    channelId,
+    resourceId: res.data.resourceId,
+    expiration: res.data.expiration,
+    pageToken,
+    lastMessage: null,
+  };
+  await saveWatchState(folderId, newState);
+  log.info(`Registered Drive channel ${channelId}, expires ${new Date(Number(newState.expiration)).toISOString()}`);
+  return { state: newState, renewed: true };
+}
+
+export async function unregisterWatch(folderId) {
+  const state = await getWatchState(folderId);
+  await stopChannel(state);
+  await saveWatchState(folderId, { pageToken: state.pageToken });
+}
+
+// Reads all changes since state.pageToken and returns the files that are now in one of the folders
+export async function readFolderChanges(folderIds, state) {
+  const drive = getDriveClient();
+  const files = [];
+  let pageToken = state.pageToken;
+  let newStartPageToken = null;
+
+  while (pageToken) {
+    const res = await drive.changes.list({
+      ...DRIVE_LIST_PARAMS,
+      pageToken,
+      fields: "nextPageToken,newStartPageToken,changes(fileId,removed,file(id,name,mimeType,parents,trashed))",
+      pageSize: 100,
+    });
+    for (const change of res.data.changes || []) {
+      const file = change.file;
+      if (change.removed || !file || file.trashed) continue;
+      if ((file.parents || []).some((parent) => folderIds.includes(parent))) files.push(file);
+    }
+    pageToken = res.data.nextPageToken;
+    newStartPageToken = res.data.newStartPageToken || newStartPageToken;
+  }
+
+  return { files, pageToken: newStartPageToken || state.pageToken };
+}
@@ -0,0 +1,57 @@
+import { getBaseUrl } from "../../lib/jobs.js";
+import { applyCors, requireAuth } from "../../lib/auth.js";
+import { getWatchState, getWatchStateFolderId, registerWatch, unregisterWatch, needsRenewal } from "../../lib/watch.js";
+import { log } from "../../lib/log.js";
+
+// ======= VERCEL/NEXT.JS CONFIG =======
+export const maxDuration = 60;
+export const runtime = 'nodejs';
+// Raw body is needed to verify signed requests
+export const config = { api: { bodyParser: false } };
+
+// ======= NEXT.JS API ROUTE =======
+// GET    - current Drive notification channel for the input folders
+// POST   - register the channel, or renew it when it is about to expire (?force=1 always re-registers).
+//          Call this daily to keep notifications flowing. The platform cron, which can only
+//          send GET requests, renews the channel with a GET.
+// DELETE - stop the channel
+export default async function handler(req, res) {
+  if (!applyCors(req, res, ["GET", "POST", "DELETE"])) return;
+
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const identity = await requireAuth(req, res, req.method === "GET" ? "read" : "write");
+  if (!identity) return;
+
+  try {
+    // One channel covers the input folders of all pipelines
+    const stateFolderId = getWatchStateFolderId();
+
+    if (req.method === "DELETE") {
+      await unregisterWatch(stateFolderId);
+      return res.status(200).json({ message: "Channel stopped" });
+    }
+
+    if (req.method === "GET" && identity.principal !== "cron") {
+      const state = await getWatchState(stateFolderId);
+      return res.status(200).json({
+        channelId: state.channelId,
+        expiresAt: state.expiration ? new Date(Number(state.expiration)).toISOString() : null,
+        needsRenewal: needsRenewal(state),
+      });
+    }
+
+    const force = req.query.force === "1" || req.query.force === "true";
+    const { state, renewed } = await registerWatch(stateFolderId, getBaseUrl(), { force });
+    res.status(200).json({
+      message: renewed ? "Channel registered" : "Channel is still valid",
+      channelId: state.channelId,
+      expiresAt: new Date(Number(state.expiration)).toISOString(),
+    });
+  } catch (err) {
+    log.error("Drive watch error", err);
+    res.status(500).json({ error: err.message });
+  }
+}
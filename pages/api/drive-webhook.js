@@ -0,0 +1,98 @@
+import { listAudioFiles, listFolderTree } from "../../lib/pipeline.js";
+import { enqueueFiles, getBaseUrl } from "../../lib/jobs.js";
+import { getPipelines } from "../../lib/pipeline-config.js";
+import {
+  verifyChannelToken,
+  getWatchState,
+  getWatchStateFolderId,
+  saveWatchState,
+  readFolderChanges,
+} from "../../lib/watch.js";
+import { log } from "../../lib/log.js";
+
+// ======= VERCEL/NEXT.JS CONFIG =======
+export const maxDuration = 60;
+export const runtime = 'nodejs';
+
+// ======= NEXT.JS API ROUTE =======
+// Receives Google Drive push notifications for the channel registered by /api/drive-watch.
+// Drive retries on anything but a 2xx, so notifications we decide to ignore are still acknowledged.
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const channelId = req.headers["x-goog-channel-id"];
+  const resourceState = req.headers["x-goog-resource-state"];
+  const messageNumber = Number(req.headers["x-goog-message-number"]) || 0;
+
+  try {
+    if (!verifyChannelToken(req.headers["x-goog-channel-token"])) {
+      log.warn(`Rejected Drive notification with invalid token (channel ${channelId})`);
+      return res.status(403).json({ error: "Invalid channel token" });
+    }
+
+    const stateFolderId = getWatchStateFolderId();
+    const state = await getWatchState(stateFolderId);
+
+    // Notifications from a channel we replaced (or never registered) are ignored
+    if (channelId !== state.channelId) {
+      log.info(`Ignoring notification from unknown channel ${channelId}`);
+      return res.status(200).json({ ignored: "unknown channel" });
+    }
+
+    // Sent once when the channel is created
+    if (resourceState === "sync") {
+      return res.status(200).json({ ignored: "sync" });
+    }
+
+    // Drive may deliver the same notification more than once
+    if (state.lastMessage && messageNumber <= Number(state.lastMessage)) {
+      log.info(`Ignoring duplicate notification #${messageNumber}`);
+      return res.status(200).json({ ignored: "duplicate" });
+    }
+
+    const pipelines = getPipelines();
+    // Recursive pipelines watch every folder below their input folder too
+    const watchedFolders = [];
+    for (const pipeline of pipelines) {
+      watchedFolders.push(pipeline.recursive
+        ? (await listFolderTree(pipeline.inputFolderId)).map((folder) => folder.id)
+        : [pipeline.inputFolderId]);
+    }
+    const { files: changedFiles, pageToken } = await readFolderChanges(watchedFolders.flat(), state);
+    await saveWatchState(stateFolderId, { ...state, pageToken, lastMessage: String(messageNumber) });
+
+    if (!changedFiles.length) {
+      return res.status(200).json({ ignored: "no changes in input folders" });
+    }
+
+    const baseUrl = getBaseUrl();
+    const queued = [];
+    for (const [i, pipeline] of pipelines.entries()) {
+      const changedIds = new Set(
+        changedFiles
+          .filter((file) => file.parents.some((parent) => watchedFolders[i].includes(parent)))
+          .map((file) => file.id)
+      );
+      if (!changedIds.size) continue;
+
+      // Let the normal audio filter decide which of the changed files to transcribe
+      const files = (await listAudioFiles(pipeline.inputFolderId, { recursive: pipeline.recursive }))
+        .filter((file) => changedIds.has(file.id));
+      if (!files.length) continue;
+
+      log.info(`Drive notification #${messageNumber}: ${files.length} new audio file(s) for pipeline ${pipeline.id}`);
+      const { job, created } = await enqueueFiles({ pipeline, files, baseUrl });
+      queued.push({ pipeline: pipeline.id, jobId: job?.id, created });
+    }
+
+    if (!queued.length) {
+      return res.status(200).json({ ignored: "no new audio files" });
+    }
+    res.status(200).json({ pipelines: queued });
+  } catch (err) {
+    log.error("Drive webhook error", err);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,54 @@
+import { getJob, runJob, summarizeJob, triggerJobRun, getBaseUrl } from "../../../lib/jobs.js";
+import { applyCors, requireAuth } from "../../../lib/auth.js";
+import { log } from "../../../lib/log.js";
+import { getBudgetUsage } from "../../../lib/budget.js";
+
+// ======= VERCEL/NEXT.JS CONFIG =======
+export const maxDuration = 300;
+export const runtime = 'nodejs';
+// Raw body is needed to verify signed requests
+export const config = { api: { bodyParser: false } };
+
+// ======= NEXT.JS API ROUTE =======
+// GET  - progress and per-file results of a job
+// POST - run the job's worker (called by /api/process-drive and by itself)
+export default async function handler(req, res) {
+  if (!applyCors(req, res, ["GET", "POST"])) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!(await requireAuth(req, res, req.method === "POST" ? "write" : "read"))) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const job = await getJob(id);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${id} not found` });
+      }
+      return res.status(200).json({ ...summarizeJob(job), usage: await getBudgetUsage() });
+    }
+
+    const job = await runJob(id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${id} not found` });
+    }
+
+    // Hand the rest of the folder to a fresh invocation
+    if (job.status === "queued") {
+      log.info(`Job ${id} has files left, starting next worker...`);
+      await triggerJobRun(id, getBaseUrl());
+    }
+
+    res.status(200).json({ ...summarizeJob(job), usage: await getBudgetUsage() });
+  } catch (err) {
+    log.error("Job handler error", err);
+    res.status(500).json({
+      error: err.message,
+      stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
+    });
+  }
+}
@@ -1,557 +1,187 @@
-import { getDriveClient, getDocsClient } from "../../lib/google.js";
-import OpenAI from "openai";
+import { findAudioFiles, listAudioFiles, getAudioFile, resolveFolderPath } from "../../lib/pipeline.js";
+import { parseLedger, resetFailures } from "../../lib/ledger.js";
+import { enqueueFiles, getBaseUrl, listJobs } from "../../lib/jobs.js";
+import { applyCors, requireAuth, readJsonBody } from "../../lib/auth.js";
+import { getPipelines, selectPipelines } from "../../lib/pipeline-config.js";
+import { getAuthMode, describeAccount } from "../../lib/google.js";
+import { log } from "../../lib/log.js";
+import { getBudgetUsage } from "../../lib/budget.js";
 
 // ======= VERCEL/NEXT.JS CONFIG =======
 // Set max duration for this API route (5 minutes = 300 seconds)
 export const maxDuration = 300;
 export const runtime = 'nodejs';
-
-// ======= OPENAI SETUP =======
-if (!process.env.OPENAI_API_KEY) {
-  throw new Error("OPENAI_API_KEY environment variable is not set. Please add it in Vercel project settings.");
-}
-
-// Validate API key format (should start with sk-)
-if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-  throw new Error("OPENAI_API_KEY appears to be invalid. OpenAI API keys should start with 'sk-'. Please check your API key in Vercel project settings.");
-}
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// ======= HELPERS =======
-async function listAudioFiles(folderId) {
-  const drive = getDriveClient();
-  
-  // Query for audio files - try multiple approaches
-  // MP3 files can have different MIME types: audio/mpeg, audio/mp3, audio/x-mpeg, etc.
-  // Also check by file extension as fallback
-  const queries = [
-    // Primary: Check for common audio MIME types
-    `'${folderId}' in parents and (mimeType='audio/mpeg' or mimeType='audio/mp3' or mimeType='audio/x-mpeg' or mimeType='audio/mp4' or mimeType='audio/wav' or mimeType='audio/x-wav' or mimeType='audio/m4a' or mimeType contains 'audio/')`,
-    // Fallback: Check by file extension
-    `'${folderId}' in parents and (name contains '.mp3' or name contains '.wav' or name contains '.m4a' or name contains '.mp4' or name contains '.ogg' or name contains '.flac')`,
-  ];
-  
-  // Try the first query (MIME type based)
-  let res = await drive.files.list({
-    q: queries[0],
-    fields: "files(id,name,mimeType,createdTime)",
-    orderBy: "createdTime desc",
-    pageSize: 100,
-  });
-  
-  let allFiles = res.data.files || [];
-  
-  // If no files found, try the extension-based query
-  if (allFiles.length === 0) {
-    console.log("No files found with MIME type query, trying extension-based query...");
-    res = await drive.files.list({
-      q: queries[1],
-      fields: "files(id,name,mimeType,createdTime)",
-      orderBy: "createdTime desc",
-      pageSize: 100,
-    });
-    allFiles = res.data.files || [];
+// Raw body is needed to verify signed requests
+export const config = { api: { bodyParser: false } };
+
+async function queuePipeline(pipeline, baseUrl) {
+  const { id, name, inputFolderId } = pipeline;
+
+  log.info(`Fetching audio files from input folder: ${inputFolderId}`, { pipeline: id });
+  const { folder, allFiles, files } = await findAudioFiles(inputFolderId, { recursive: pipeline.recursive });
+
+  if (!files.length) {
+    return {
+      pipeline: id,
+      name,
+      status: "idle",
+      message: "No new audio files found in input folder",
+      debug: {
+        folderId: inputFolderId,
+        folderName: folder.name,
+        totalFilesInFolder: allFiles.length,
+        filesInFolder: allFiles.map(f => ({ 
+          name: f.name, 
+          mimeType: f.mimeType,
+          size: f.size 
+        })),
+        authMode: getAuthMode(),
+        account: describeAccount(),
+      },
+    };
   }
-  
-  // Log what we found for debugging
-  console.log(`Found ${allFiles.length} file(s) in folder ${folderId}:`, 
-    allFiles.map(f => ({ name: f.name, mimeType: f.mimeType, id: f.id }))
-  );
-  
-  return allFiles;
-}
 
-async function downloadFile(fileId) {
-  const drive = getDriveClient();
-  try {
-    const res = await drive.files.get(
-      { fileId, alt: "media" },
-      { responseType: "arraybuffer" }
-    );
-    return Buffer.from(res.data);
-  } catch (error) {
-    if (error.code === 403 || error.message.includes('permission')) {
-      throw new Error(
-        `Permission denied downloading file. The service account needs access to the file.\n` +
-        `File ID: ${fileId}\n` +
-        `Make sure the file is in a folder that's shared with the service account.`
-      );
-    }
-    throw error;
-  }
+  log.info(`Found ${files.length} audio file(s) to process`, { pipeline: id });
+  const { job, created } = await enqueueFiles({ pipeline, files, baseUrl });
+
+  return {
+    pipeline: id,
+    name,
+    status: created ? "queued" : "in_progress",
+    message: created ? "Job queued" : "All files are already queued in an active job",
+    jobId: job.id,
+    statusUrl: `${baseUrl}/api/jobs/${job.id}`,
+    files: created ? job.files.length : undefined,
+  };
 }
 
-async function createDoc(title, content, outputFolderId = null) {
-  const docs = getDocsClient();
-  const drive = getDriveClient();
-  
-  // Get service account email for error messages
-  let serviceAccountEmail = "your-service-account@project.iam.gserviceaccount.com";
-  try {
-    if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
-      const saJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-      serviceAccountEmail = saJson.client_email || serviceAccountEmail;
-    }
-  } catch (e) {
-    // If parsing fails, use default message
-  }
-  
+// Read-only overview for the status GET and the dashboard: files waiting in the input folder
+async function describePipeline(pipeline) {
+  const { id, name, inputFolderId } = pipeline;
   try {
-    console.log(`Creating Google Doc with title: "${title}"`);
-    
-    let documentId;
-    
-    // Strategy: Create document via Docs API first (this works if permissions are correct)
-    // Then immediately move it to the output folder
-    // This avoids the "storage quota" error that can occur when creating directly in a folder
-    try {
-      console.log(`Creating document via Docs API...`);
-      const doc = await docs.documents.create({ 
-        requestBody: { title } 
-      });
-      documentId = doc.data.documentId;
-      console.log(`Google Doc created successfully via Docs API: ${documentId}`);
-      
-      // Immediately move it to the output folder (if provided)
-      if (outputFolderId) {
-        try {
-          console.log(`Moving document to output folder: ${outputFolderId}`);
-          // First, get the current parents to remove them
-          const fileInfo = await drive.files.get({
-            fileId: documentId,
-            fields: "parents",
-          });
-          
-          const previousParents = fileInfo.data.parents || [];
-          
-          // Move the file to the output folder
-          await drive.files.update({
-            fileId: documentId,
-            addParents: outputFolderId,
-            removeParents: previousParents.length > 0 ? previousParents.join(",") : undefined,
-            fields: "id, parents",
-          });
-          console.log(`Document moved to output folder successfully`);
-        } catch (moveError) {
-          console.warn(`Could not move document to output folder:`, moveError.message);
-          console.warn(`Document was created but is in service account's Drive. Document ID: ${documentId}`);
-          // Don't fail - document was created, location is secondary
-          // The user can manually move it if needed
-        }
-      }
-    } catch (docsError) {
-      console.error(`Docs API creation failed:`, docsError.message);
-      console.error(`Error code:`, docsError.code);
-      console.error(`Error details:`, docsError.response?.data);
-      
-      // If Docs API fails, try Drive API as fallback
-      if (outputFolderId) {
-        console.log(`Trying Drive API as fallback...`);
-        try {
-          const fileMetadata = {
-            name: title,
-            mimeType: 'application/vnd.google-apps.document',
-            parents: [outputFolderId]
-          };
-          
-          const driveFile = await drive.files.create({
-            requestBody: fileMetadata,
-            fields: 'id, name, parents'
-          });
-          
-          documentId = driveFile.data.id;
-          console.log(`Google Doc created successfully via Drive API: ${documentId}`);
-        } catch (driveError) {
-          console.error(`Drive API creation also failed:`, driveError.message);
-          // Both methods failed - provide detailed error
-          throw new Error(
-            `Failed to create document using both methods.\n\n` +
-            `Docs API error: ${docsError.message}\n` +
-            `Drive API error: ${driveError.message}\n\n` +
-            `**Possible solutions:**\n` +
-            `1. Verify the service account has "Editor" IAM role in Google Cloud Console\n` +
-            `2. Make sure Google Docs API is enabled\n` +
-            `3. Ensure the output folder is shared with the service account with Editor access\n` +
-            `4. Check if there are organization policies blocking API access`
-          );
-        }
-      } else {
-        // No output folder and Docs API failed
-        throw docsError;
-      }
-    }
-    
-    // Verify document is in the output folder (if specified)
-    if (outputFolderId && documentId) {
-      try {
-        // Check current parents
-        const file = await drive.files.get({
-          fileId: documentId,
-          fields: "parents",
-        });
-        
-        const currentParents = file.data.parents || [];
-        if (!currentParents.includes(outputFolderId)) {
-          console.log(`Document not in output folder, attempting to move...`);
-          await drive.files.update({
-            fileId: documentId,
-            addParents: outputFolderId,
-            removeParents: currentParents.join(","),
-            fields: "id, parents",
-          });
-          console.log(`Document moved to output folder successfully`);
-        } else {
-          console.log(`Document is already in output folder`);
-        }
-      } catch (moveError) {
-        console.warn(`Could not verify/move document to output folder:`, moveError.message);
-        // Don't fail - document was created, location is secondary
-      }
-    }
-    
-    // Insert the transcription text
-    console.log(`Inserting transcription text (${content.length} characters)...`);
-    await docs.documents.batchUpdate({
-      documentId,
-      requestBody: { 
-        requests: [{ 
-          insertText: { 
-            location: { index: 1 }, 
-            text: content 
-          } 
-        }] 
-      },
-    });
-    
-    console.log(`Text inserted successfully into document ${documentId}`);
-    return documentId;
+    const files = await listAudioFiles(inputFolderId, { recursive: pipeline.recursive });
+    return {
+      id,
+      name,
+      waiting: files.map((file) => ({
+        fileId: file.id,
+        fileName: file.name,
+        createdTime: file.createdTime,
+        folderPath: file.folderPath || undefined,
+        // Set when an earlier run got partway through this file, or failed on it
+        completedStep: parseLedger(file.appProperties).step,
+        failures: parseLedger(file.appProperties).failures,
+      })),
+    };
   } catch (error) {
-    console.error("Error creating Google Doc:", error);
-    console.error("Error code:", error.code);
-    console.error("Error message:", error.message);
-    console.error("Error response:", JSON.stringify(error.response?.data, null, 2));
-    console.error("Full error object:", JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
-    
-    if (error.code === 403 || error.message.includes('permission') || error.message.includes('Permission')) {
-      // Check if it's a specific API error
-      const errorDetails = error.response?.data?.error || {};
-      const reason = errorDetails.message || error.message;
-      
-      throw new Error(
-        `Permission denied creating Google Doc.\n\n` +
-        `Error details: ${reason}\n\n` +
-        `**Troubleshooting steps:**\n\n` +
-        `1. **Verify IAM Roles** (most important):\n` +
-        `   - Go to: https://console.cloud.google.com/iam-admin/iam?project=sound-velocity-480119-g8\n` +
-        `   - Find: ${serviceAccountEmail}\n` +
-        `   - Ensure it has "Editor" or "Owner" role\n\n` +
-        `2. **Verify API Enablement:**\n` +
-        `   - Docs API: https://console.cloud.google.com/apis/library/docs.googleapis.com?project=sound-velocity-480119-g8\n` +
-        `   - Drive API: https://console.cloud.google.com/apis/library/drive.googleapis.com?project=sound-velocity-480119-g8\n\n` +
-        `3. **Verify Folder Permissions:**\n` +
-        `   - Make sure the output folder is shared with ${serviceAccountEmail}\n` +
-        `   - Give it "Editor" access (not just Viewer)\n\n` +
-        `4. **Check OAuth Consent Screen:**\n` +
-        `   - Go to: https://console.cloud.google.com/apis/credentials/consent?project=sound-velocity-480119-g8\n` +
-        `   - Make sure OAuth consent screen is configured (even for service accounts)\n\n` +
-        `5. **Try creating a test document manually:**\n` +
-        `   - Share a folder with ${serviceAccountEmail}\n` +
-        `   - Try creating a document in that folder via the API\n\n` +
-        `If all else fails, the service account might need domain-wide delegation (for Workspace accounts) or there may be organization policies blocking API access.`
-      );
-    }
-    
-    // Handle other common errors
-    if (error.code === 404) {
-      throw new Error(`Google Docs API endpoint not found. Make sure Google Docs API is enabled.`);
-    }
-    
-    throw error;
+    return { id, name, error: error.message };
   }
 }
 
-async function moveFileToOutputFolder(fileId, outputFolderId) {
-  const drive = getDriveClient();
-  
-  try {
-    // Get the current parents of the file
-    const file = await drive.files.get({
-      fileId,
-      fields: "parents",
-    });
-    
-    const previousParents = file.data.parents.join(",");
-    
-    // Move the file to the output folder
-    await drive.files.update({
-      fileId,
-      addParents: outputFolderId,
-      removeParents: previousParents,
-      fields: "id, parents",
-    });
-  } catch (error) {
-    if (error.code === 403 || error.message.includes('permission')) {
-      throw new Error(
-        `Permission denied moving file to output folder. The service account needs Editor access to:\n` +
-        `1. The file being moved\n` +
-        `2. The output folder (ID: ${outputFolderId})\n\n` +
-        `Make sure:\n` +
-        `- The output folder is shared with the service account with Editor access\n` +
-        `- The file is in a folder shared with the service account with Editor access`
-      );
-    }
-    throw error;
-  }
+// Only recordings in the pipeline's input folder (or below it, for recursive pipelines) or in its
+// failed folder can be retried. Anything else the service account can reach would otherwise be
+// transcribed, billed and moved out of its own folder into the output folder.
+async function isRetryable(file, pipeline) {
+  const parents = file.parents || [];
+  if (parents.includes(pipeline.inputFolderId)) return true;
+  if (pipeline.failedFolderId && parents.includes(pipeline.failedFolderId)) return true;
+  return pipeline.recursive && (await resolveFolderPath(file, pipeline.inputFolderId)) !== null;
 }
 
-async function transcribeAudio(audioBuffer, fileName) {
-  // OpenAI SDK v4 accepts File, Blob, or a File-like object
-  // Node.js 20+ (used by Vercel) has File API available
-  // If not available, we'll create a File-like object using form-data
-  
-  let file;
-  
-  // Check if File API is available (Node.js 20+)
-  if (typeof File !== 'undefined') {
-    // Use native File API - this is the preferred method
-    file = new File([audioBuffer], fileName, {
-      type: "audio/mpeg", // Adjust based on your audio format (mp3, wav, m4a, etc.)
-    });
-  } else {
-    // Fallback for older Node.js versions
-    // Create a File-like object that OpenAI SDK can use
-    // The SDK expects an object with stream-like properties
-    const { Readable } = await import('stream');
-    const stream = Readable.from(audioBuffer);
-    
-    // Create a File-like object with required properties
-    file = {
-      stream: () => stream,
-      name: fileName,
-      type: 'audio/mpeg',
-      size: audioBuffer.length,
-      arrayBuffer: async () => audioBuffer.buffer || audioBuffer,
-      buffer: audioBuffer,
-    };
-  }
-
-  try {
-    const transcription = await openai.audio.transcriptions.create({
-      file: file,
-      model: "whisper-1",
-      // language: "nl", // Uncomment and set language if needed (e.g., "nl" for Dutch)
-    });
-
-    return transcription.text;
-  } catch (error) {
-    // Provide more helpful error messages
-    if (error.status === 401 || error.message.includes('API key') || error.message.includes('Incorrect API key')) {
-      throw new Error(
-        `OpenAI API key error: ${error.message}\n\n` +
-        `To fix this:\n` +
-        `1. Go to https://platform.openai.com/account/api-keys\n` +
-        `2. Create a new API key or copy your existing one\n` +
-        `3. In Vercel, go to your project → Settings → Environment Variables\n` +
-        `4. Update the OPENAI_API_KEY variable with the new key\n` +
-        `5. Redeploy or wait for the next deployment\n\n` +
-        `Make sure the API key starts with "sk-" and has no extra spaces or quotes.`
-      );
-    }
-    if (error.message.includes('file') || error.message.includes('format')) {
-      throw new Error(`Failed to transcribe audio file "${fileName}": ${error.message}. Ensure the file is a valid audio format.`);
-    }
+// Queues a single file again, e.g. one that failed in an earlier job
+async function retryFile(pipeline, fileId, baseUrl) {
+  const file = await getAudioFile(fileId);
+  if (!(await isRetryable(file, pipeline))) {
+    const error = new Error(`${file.name} is not in the input or failed folder of pipeline "${pipeline.id}"`);
+    error.status = 403;
     throw error;
   }
+  // A retried file gets all its attempts again before it is set aside
+  await resetFailures(file.id, parseLedger(file.appProperties));
+  const { job, created } = await enqueueFiles({ pipeline, files: [file], baseUrl });
+  return {
+    pipeline: pipeline.id,
+    name: pipeline.name,
+    status: created ? "queued" : "in_progress",
+    message: created ? `Job queued for ${file.name}` : `${file.name} is already queued in an active job`,
+    jobId: job.id,
+    statusUrl: `${baseUrl}/api/jobs/${job.id}`,
+  };
 }
 
 // ======= NEXT.JS API ROUTE =======
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader("Access-Control-Allow-Credentials", "true");
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS,POST");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    res.status(200).end();
-    return;
-  }
+  // CORS headers for configured origins only
+  if (!applyCors(req, res, ["GET", "POST"])) return;
 
   // Only allow GET and POST
   if (req.method !== "GET" && req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  // GET is read-only, except for the platform cron which can only send GET requests
+  const identity = await requireAuth(req, res, req.method === "POST" ? "write" : "read");
+  if (!identity) return;
+
   try {
-    const inputFolderId = process.env.INPUT_FOLDER_ID;
-    const outputFolderId = process.env.OUTPUT_FOLDER_ID;
-    
-    if (!inputFolderId) {
-      throw new Error("INPUT_FOLDER_ID is niet gezet");
-    }
-    if (!outputFolderId) {
-      throw new Error("OUTPUT_FOLDER_ID is niet gezet");
+    if (req.method === "GET" && identity.principal !== "cron") {
+      return res.status(200).json({
+        pipelines: await Promise.all(getPipelines().map(describePipeline)),
+        jobs: await listJobs({ limit: 20 }),
+        usage: await getBudgetUsage(),
+      });
     }
 
-    console.log(`Fetching audio files from input folder: ${inputFolderId}`);
-    
-    // First, verify we can access the folder
-    const drive = getDriveClient();
-    let folderInfo;
-    
-    // Get service account email for error messages
-    let serviceAccountEmail = "your-service-account@project.iam.gserviceaccount.com";
-    try {
-      if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
-        const saJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-        serviceAccountEmail = saJson.client_email || serviceAccountEmail;
-      }
-    } catch (e) {
-      // If parsing fails, use default message
-    }
-    
-    try {
-      folderInfo = await drive.files.get({
-        fileId: inputFolderId,
-        fields: "id,name,mimeType,permissions,capabilities",
-      });
-      console.log(`Folder access verified: ${folderInfo.data.name} (${folderInfo.data.id})`);
-    } catch (folderError) {
-      // 404 can mean either folder doesn't exist OR service account doesn't have access
-      // 403 means explicit access denial
-      if (folderError.code === 404 || folderError.code === 403) {
-        const errorMsg = folderError.code === 404 
-          ? "Folder not found or service account doesn't have access"
-          : "Access denied to folder";
-        
-        throw new Error(
-          `${errorMsg}.\n\n` +
-          `Folder ID: ${inputFolderId}\n` +
-          `Folder URL: https://drive.google.com/drive/folders/${inputFolderId}\n\n` +
-          `**To fix this:**\n` +
-          `1. Open the folder in Google Drive: https://drive.google.com/drive/folders/${inputFolderId}\n` +
-          `2. Click the "Share" button (or right-click → Share)\n` +
-          `3. Add this email address: ${serviceAccountEmail}\n` +
-          `4. Give it at least "Viewer" access (or "Editor" if you want it to move files)\n` +
-          `5. Click "Send" or "Share"\n\n` +
-          `**Important:** The service account email must be added as a collaborator on the folder.\n` +
-          `The folder ID is correct, but the service account cannot see it without being shared.`
-        );
+    // { "fileId": "...", "pipeline": "..." } retries a single file
+    const body = req.method === "POST" ? await readJsonBody(req) : {};
+    if (body.fileId) {
+      const pipelineId = body.pipeline || req.query.pipeline || (getPipelines().length === 1 ? getPipelines()[0].id : null);
+      const [pipeline] = (pipelineId && selectPipelines(pipelineId)) || [];
+      if (!pipeline) {
+        return res.status(400).json({ error: "Retrying a file needs a valid \"pipeline\" when several pipelines are configured" });
       }
-      throw folderError;
-    }
-    
-    // Try to list ALL files in the folder first (for debugging)
-    const allFilesRes = await drive.files.list({
-      q: `'${inputFolderId}' in parents and trashed=false`,
-      fields: "files(id,name,mimeType,size)",
-      pageSize: 100,
-    });
-    const allFiles = allFilesRes.data.files || [];
-    
-    console.log(`Found ${allFiles.length} total file(s) in folder:`, 
-      allFiles.map(f => ({ name: f.name, mimeType: f.mimeType, size: f.size }))
-    );
-    
-    // Now get audio files specifically
-    const files = await listAudioFiles(inputFolderId);
-    
-    console.log(`Query returned ${files.length} audio file(s)`);
-    
-    if (!files.length) {
-      return res.status(200).json({ 
-        message: "No new audio files found in input folder",
-        debug: {
-          folderId: inputFolderId,
-          folderName: folderInfo.data.name,
-          totalFilesInFolder: allFiles.length,
-          filesInFolder: allFiles.map(f => ({ 
-            name: f.name, 
-            mimeType: f.mimeType,
-            size: f.size 
-          })),
-          serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_JSON 
-            ? JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON).client_email 
-            : "not available",
-        },
-        results: [] 
+      const group = await retryFile(pipeline, body.fileId, getBaseUrl());
+      return res.status(group.status === "queued" ? 202 : 200).json({
+        message: group.message,
+        pipelines: [group],
+        usage: await getBudgetUsage(),
       });
     }
 
-    console.log(`Found ${files.length} audio file(s) to process`);
+    // ?pipeline=<id> processes a single pipeline, otherwise all of them
+    const pipelines = selectPipelines(req.query.pipeline);
+    if (!pipelines) {
+      const available = getPipelines().map((pipeline) => pipeline.id).join(", ");
+      return res.status(404).json({ error: `Unknown pipeline "${req.query.pipeline}". Available: ${available}` });
+    }
 
-    const results = [];
-    for (const file of files) {
+    const baseUrl = getBaseUrl();
+    const groups = [];
+    for (const pipeline of pipelines) {
       try {
-        console.log(`Processing: ${file.name} (${file.id})`);
-        
-        // Step 1: Download audio file from Google Drive
-        console.log("Downloading file from Drive...");
-        const audioBuffer = await downloadFile(file.id);
-
-        // Step 2: Transcribe audio with OpenAI
-        console.log("Transcribing audio...");
-        const transcriptionText = await transcribeAudio(audioBuffer, file.name);
-
-        // Step 3: Create Google Doc with transcription
-        console.log("Creating Google Doc...");
-        const docTitle = `${file.name.replace(/\.[^/.]+$/, "")} - Transcript`;
-        const docId = await createDoc(docTitle, transcriptionText, outputFolderId);
-
-        // Step 4: Move original file to output folder
-        console.log("Moving file to output folder...");
-        await moveFileToOutputFolder(file.id, outputFolderId);
-
-        // Get the document URL
-        const docUrl = `https://docs.google.com/document/d/${docId}`;
-
-        results.push({
-          fileName: file.name,
-          fileId: file.id,
-          docId: docId,
-          docUrl: docUrl,
-          status: "success",
-        });
-
-        console.log(`✓ Completed: ${file.name}`);
-      } catch (fileError) {
-        console.error(`Error processing ${file.name}:`, fileError);
-        console.error(`Error stack:`, fileError.stack);
-        console.error(`Error code:`, fileError.code);
-        
-        // Try to identify which step failed based on error message
-        let stepInfo = "Unknown step";
-        if (fileError.message.includes('download') || fileError.message.includes('Download')) {
-          stepInfo = "Step 1: Downloading file";
-        } else if (fileError.message.includes('transcribe') || fileError.message.includes('OpenAI') || fileError.message.includes('API key')) {
-          stepInfo = "Step 2: Transcribing audio";
-        } else if (fileError.message.includes('Doc') || fileError.message.includes('document')) {
-          stepInfo = "Step 3: Creating Google Doc";
-        } else if (fileError.message.includes('move') || fileError.message.includes('output folder')) {
-          stepInfo = "Step 4: Moving file to output folder";
-        }
-        
-        results.push({
-          fileName: file.name,
-          fileId: file.id,
+        groups.push(await queuePipeline(pipeline, baseUrl));
+      } catch (pipelineError) {
+        // One misconfigured folder shouldn't stop the other pipelines
+        log.error(`Pipeline ${pipeline.id} failed`, pipelineError);
+        groups.push({
+          pipeline: pipeline.id,
+          name: pipeline.name,
           status: "error",
-          error: fileError.message,
-          step: stepInfo,
-          errorCode: fileError.code,
+          error: pipelineError.message,
         });
       }
     }
 
-    res.status(200).json({
-      message: "Processing complete",
-      processed: results.filter(r => r.status === "success").length,
-      failed: results.filter(r => r.status === "error").length,
-      results,
+    const queued = groups.filter((group) => group.status === "queued").length;
+    res.status(queued ? 202 : 200).json({
+      message: queued ? `Queued jobs for ${queued} pipeline(s)` : "No new jobs queued",
+      pipelines: groups,
+      // Transcription minutes and spend of today and this month, against the caps
+      usage: await getBudgetUsage(),
     });
   } catch (err) {
-    console.error("Handler error:", err);
-    res.status(500).json({ 
+    log.error("Handler error", err);
+    res.status(err.status || 500).json({ 
       error: err.message,
       stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
     });
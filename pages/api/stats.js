@@ -0,0 +1,47 @@
+import { getStats, parseWindow } from "../../lib/runs.js";
+import { applyCors, requireAuth } from "../../lib/auth.js";
+import { selectPipelines } from "../../lib/pipeline-config.js";
+import { log } from "../../lib/log.js";
+import { getBudgetUsage } from "../../lib/budget.js";
+
+// ======= VERCEL/NEXT.JS CONFIG =======
+export const runtime = 'nodejs';
+
+// ======= NEXT.JS API ROUTE =======
+// GET - throughput, failure rates by step and audio minutes of the recorded runs
+//   ?window=24h|7d|30d   the last hours or days (default 7d)
+//   ?from=...&to=...     or an explicit range (ISO dates), instead of window
+//   ?pipeline=<id>       only the runs of one pipeline
+export default async function handler(req, res) {
+  if (!applyCors(req, res, ["GET"])) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!(await requireAuth(req, res, "read"))) return;
+
+  let from;
+  let to;
+  try {
+    to = req.query.to ? new Date(req.query.to) : new Date();
+    from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - parseWindow(req.query.window || "7d"));
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      throw new Error("\"from\" and \"to\" must be dates, with from before to");
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (req.query.pipeline && !selectPipelines(req.query.pipeline)) {
+    return res.status(404).json({ error: `Unknown pipeline "${req.query.pipeline}"` });
+  }
+
+  try {
+    const stats = await getStats({ from: from.toISOString(), to: to.toISOString(), pipelineId: req.query.pipeline || null });
+    res.status(200).json({ ...stats, usage: await getBudgetUsage() });
+  } catch (err) {
+    log.error("Stats error", err);
+    res.status(500).json({ error: err.message });
+  }
+}
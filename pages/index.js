@@ -1,3 +1,345 @@
-export default function Home() {
-  return <div>Serverless API only</div>;
+import { useCallback, useEffect, useState } from "react";
+
+// Operator dashboard. The page itself holds no data: everything is fetched from
+// the API with the operator's token, so it sits behind the same authentication.
+const TOKEN_KEY = "transcriptionBeaconToken";
+const REFRESH_MS = 15000;
+
+const styles = {
+  page: { fontFamily: "system-ui, sans-serif", maxWidth: 1100, margin: "0 auto", padding: 24, color: "#1f2328" },
+  section: { marginTop: 32 },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 14 },
+  th: { textAlign: "left", borderBottom: "2px solid #d0d7de", padding: "6px 8px" },
+  td: { borderBottom: "1px solid #eaeef2", padding: "6px 8px", verticalAlign: "top" },
+  button: { padding: "4px 10px", marginRight: 8, cursor: "pointer" },
+  error: { color: "#cf222e", whiteSpace: "pre-wrap" },
+  muted: { color: "#656d76" },
+};
+
+const statusColors = {
+  success: "#1a7f37",
+  completed: "#1a7f37",
+  error: "#cf222e",
+  budget_exceeded: "#9a6700",
+  processing: "#9a6700",
+  running: "#9a6700",
+  pending: "#656d76",
+  queued: "#656d76",
+};
+
+function Status({ value }) {
+  return <strong style={{ color: statusColors[value] || "inherit" }}>{value}</strong>;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+function TokenForm({ onSave, error }) {
+  const [value, setValue] = useState("");
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave(value.trim());
+      }}
+    >
+      <p>Enter an API token to open the dashboard.</p>
+      {error && <p style={styles.error}>{error}</p>}
+      <input
+        type="password"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder="API token"
+        style={{ padding: 6, width: 320, marginRight: 8 }}
+      />
+      <button type="submit" style={styles.button}>Sign in</button>
+    </form>
+  );
+}
+
+// "12.5/600 min" when there is a cap
+function withCap(value, cap, unit) {
+  return `${value}${cap !== null ? `/${cap}` : ""} ${unit}`;
+}
+
+function BudgetUsage({ usage }) {
+  if (!usage) return null;
+  if (usage.error) return <p style={styles.error}>{usage.error}</p>;
+  const { daily, monthly } = usage;
+  return (
+    <p style={styles.muted}>
+      Transcription today: {withCap(daily.minutes, daily.minuteCap, "min")}, {withCap(daily.spend, daily.spendCap, usage.currency)}
+      {" · "}this month: {withCap(monthly.minutes, monthly.minuteCap, "min")}, {withCap(monthly.spend, monthly.spendCap, usage.currency)}
+    </p>
+  );
+}
+
+function JobDetails({ job, onRetry }) {
+  if (!job) return <p style={styles.muted}>Loading...</p>;
+  const { lastRun, notifications } = job;
+  return (
+    <>
+    {lastRun && (
+      <p style={styles.muted}>
+        Last run: {lastRun.processed.length} processed, {lastRun.failed.length} failed,{" "}
+        {lastRun.deferred.length} deferred to the next run ({lastRun.concurrency} at a time)
+      </p>
+    )}
+    {notifications?.length > 0 && (
+      <p style={styles.muted}>
+        Notifications:{" "}
+        {notifications.map((n) => `${n.target || "all"} ${n.status}${n.error ? ` (${n.error})` : ""}`).join(", ")}
+      </p>
+    )}
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.th}>File</th>
+          <th style={styles.th}>Status</th>
+          <th style={styles.th}>Result</th>
+          <th style={styles.th}></th>
+        </tr>
+      </thead>
+      <tbody>
+        {job.results.map((file) => (
+          <tr key={file.fileId}>
+            <td style={styles.td}>{file.fileName}</td>
+            <td style={styles.td}><Status value={file.status} /></td>
+            <td style={styles.td}>
+              {file.docUrl && <a href={file.docUrl} target="_blank" rel="noreferrer">Open Doc</a>}
+              {file.translations?.map((translation) => (
+                <span key={translation.language}>
+                  {" · "}
+                  <a href={translation.url} target="_blank" rel="noreferrer">{translation.name}</a>
+                </span>
+              ))}
+              {file.redaction && <div style={styles.muted}>Redacted: {file.redaction.total} item(s)</div>}
+              {file.status === "budget_exceeded" && <div style={styles.muted}>{file.error}</div>}
+              {file.status === "error" && (
+                <div>
+                  <div>{file.step}{file.upstreamStatus ? ` (HTTP ${file.upstreamStatus})` : ""}</div>
+                  <div style={styles.error}>{file.error}</div>
+                  {file.quarantined && (
+                    <div>
+                      Moved to the failed folder after {file.failures} attempts{" "}
+                      <a href={file.errorNoteUrl} target="_blank" rel="noreferrer">(error note)</a>
+                    </div>
+                  )}
+                </div>
+              )}
+            </td>
+            <td style={styles.td}>
+              {file.status === "error" && (
+                <button style={styles.button} onClick={() => onRetry(job.pipeline, file.fileId)}>Retry</button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    </>
+  );
+}
+
+export default function Dashboard() {
+  const [token, setToken] = useState(null);
+  const [overview, setOverview] = useState(null);
+  const [openJobId, setOpenJobId] = useState(null);
+  const [openJob, setOpenJob] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setToken(window.sessionStorage.getItem(TOKEN_KEY));
+  }, []);
+
+  const api = useCallback(async (path, options = {}) => {
+    const res = await fetch(path, {
+      ...options,
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...options.headers },
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      window.sessionStorage.removeItem(TOKEN_KEY);
+      setToken(null);
+    }
+    if (!res.ok) {
+      throw new Error(data.message || data.error || `Request failed with ${res.status}`);
+    }
+    return data;
+  }, [token]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setOverview(await api("/api/process-drive"));
+      if (openJobId) setOpenJob(await api(`/api/jobs/${openJobId}`));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, [api, openJobId]);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [token, refresh]);
+
+  const run = async (pipelineId) => {
+    try {
+      const query = pipelineId ? `?pipeline=${encodeURIComponent(pipelineId)}` : "";
+      const data = await api(`/api/process-drive${query}`, { method: "POST" });
+      setMessage(data.message);
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const retry = async (pipelineId, fileId) => {
+    try {
+      const data = await api("/api/process-drive", {
+        method: "POST",
+        body: JSON.stringify({ pipeline: pipelineId, fileId }),
+      });
+      setMessage(data.message);
+      refresh();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const toggleJob = async (jobId) => {
+    if (openJobId === jobId) {
+      setOpenJobId(null);
+      setOpenJob(null);
+      return;
+    }
+    setOpenJobId(jobId);
+    setOpenJob(null);
+    try {
+      setOpenJob(await api(`/api/jobs/${jobId}`));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div style={styles.page}>
+        <h1>Transcription Beacon</h1>
+        <TokenForm
+          error={error}
+          onSave={(value) => {
+            window.sessionStorage.setItem(TOKEN_KEY, value);
+            setError(null);
+            setToken(value);
+          }}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.page}>
+      <h1>Transcription Beacon</h1>
+      <div>
+        <button style={styles.button} onClick={() => run(null)}>Run all pipelines</button>
+        <button style={styles.button} onClick={refresh}>Refresh</button>
+        <button
+          style={styles.button}
+          onClick={() => {
+            window.sessionStorage.removeItem(TOKEN_KEY);
+            setToken(null);
+          }}
+        >
+          Sign out
+        </button>
+      </div>
+      {message && <p>{message}</p>}
+      {error && <p style={styles.error}>{error}</p>}
+
+      <BudgetUsage usage={overview?.usage} />
+
+      <section style={styles.section}>
+        <h2>Waiting in input folders</h2>
+        {!overview && <p style={styles.muted}>Loading...</p>}
+        {overview?.pipelines.map((pipeline) => (
+          <div key={pipeline.id} style={{ marginBottom: 24 }}>
+            <h3>
+              {pipeline.name}{" "}
+              <button style={styles.button} onClick={() => run(pipeline.id)}>Run</button>
+            </h3>
+            {pipeline.error && <p style={styles.error}>{pipeline.error}</p>}
+            {pipeline.waiting && !pipeline.waiting.length && <p style={styles.muted}>No files waiting.</p>}
+            {pipeline.waiting?.length > 0 && (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>File</th>
+                    <th style={styles.th}>Uploaded</th>
+                    <th style={styles.th}>Completed step</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pipeline.waiting.map((file) => (
+                    <tr key={file.fileId}>
+                      <td style={styles.td}>{file.fileName}</td>
+                      <td style={styles.td}>{formatDate(file.createdTime)}</td>
+                      <td style={styles.td}>{file.completedStep || <span style={styles.muted}>none</span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </section>
+
+      <section style={styles.section}>
+        <h2>Recent runs</h2>
+        {overview && !overview.jobs.length && <p style={styles.muted}>No runs yet.</p>}
+        {overview?.jobs.length > 0 && (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Started</th>
+                <th style={styles.th}>Pipeline</th>
+                <th style={styles.th}>Status</th>
+                <th style={styles.th}>Files</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overview.jobs.map((job) => [
+                <tr key={job.id}>
+                  <td style={styles.td}>{formatDate(job.createdAt)}</td>
+                  <td style={styles.td}>{job.pipeline}</td>
+                  <td style={styles.td}><Status value={job.status} /></td>
+                  <td style={styles.td}>
+                    {job.processed} done, {job.failed} failed, {job.pending + job.processing} to go
+                    {job.overBudget > 0 && `, ${job.overBudget} over budget`}
+                  </td>
+                  <td style={styles.td}>
+                    <button style={styles.button} onClick={() => toggleJob(job.id)}>
+                      {openJobId === job.id ? "Hide" : "Details"}
+                    </button>
+                  </td>
+                </tr>,
+                openJobId === job.id && (
+                  <tr key={`${job.id}-details`}>
+                    <td style={styles.td} colSpan={5}>
+                      <JobDetails job={openJob} onRetry={retry} />
+                    </td>
+                  </tr>
+                ),
+              ])}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
 }
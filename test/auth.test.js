@@ -0,0 +1,110 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { requireAuth, signRequest } from "../lib/auth.js";
+
+const CONFIG = ["API_TOKENS", "API_READ_TOKENS", "CRON_SECRET", "VERCEL_CRON_SECRET", "API_HMAC_SECRET"];
+
+beforeEach(() => {
+  for (const name of CONFIG) delete process.env[name];
+  Object.assign(process.env, {
+    API_TOKENS: "write-1, write-2",
+    API_READ_TOKENS: "read-1",
+    CRON_SECRET: "cron-secret",
+    API_HMAC_SECRET: "hmac-secret",
+    LOG_LEVEL: "silent",
+  });
+});
+
+function request({ method = "POST", url = "/api/process", headers = {}, body = "" } = {}) {
+  return { method, url, headers, rawBody: body };
+}
+
+// Records what requireAuth answers, if anything
+function response() {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+// Signed headers, with the signature's names lowercased the way Node hands them to the route
+function signed(method, url, body) {
+  return Object.fromEntries(Object.entries(signRequest(method, url, body)).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+test("requireAuth resolves bearer tokens to their principal", async () => {
+  const write = await requireAuth(request({ headers: { authorization: "Bearer write-2" } }), response(), "write");
+  assert.deepEqual(write, { principal: "token", canWrite: true });
+
+  const read = await requireAuth(request({ headers: { authorization: "Bearer read-1" } }), response(), "read");
+  assert.deepEqual(read, { principal: "read-token", canWrite: false });
+});
+
+test("requireAuth turns read-only tokens away from writes with a 403", async () => {
+  const res = response();
+  assert.equal(await requireAuth(request({ headers: { authorization: "Bearer read-1" } }), res, "write"), null);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "read_only");
+});
+
+test("requireAuth accepts the cron secret", async () => {
+  const identity = await requireAuth(request({ method: "GET", headers: { authorization: "Bearer cron-secret" } }), response(), "write");
+  assert.deepEqual(identity, { principal: "cron", canWrite: true });
+
+  delete process.env.CRON_SECRET;
+  process.env.VERCEL_CRON_SECRET = "vercel-secret";
+  const vercel = await requireAuth(request({ method: "GET", headers: { authorization: "Bearer vercel-secret" } }), response(), "write");
+  assert.equal(vercel.principal, "cron");
+});
+
+test("requireAuth accepts a request signed with the HMAC secret", async () => {
+  const body = JSON.stringify({ fileId: "abc" });
+  const headers = signed("POST", "/api/process?dryRun=1", body);
+  const identity = await requireAuth(request({ url: "/api/process?dryRun=1", headers, body }), response(), "write");
+  assert.deepEqual(identity, { principal: "hmac", canWrite: true });
+});
+
+test("requireAuth rejects a bad signature, a changed body and an old timestamp", async () => {
+  const body = JSON.stringify({ fileId: "abc" });
+  const headers = signed("POST", "/api/process", body);
+
+  const cases = [
+    { headers: { ...headers, "x-signature": `sha256=${"0".repeat(64)}` }, body },
+    { headers, body: JSON.stringify({ fileId: "other" }) },
+    { headers, body, url: "/api/jobs" },
+  ];
+  for (const { url, ...options } of cases) {
+    const res = response();
+    assert.equal(await requireAuth(request({ url, ...options }), res, "write"), null);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, "invalid_credentials");
+  }
+
+  const now = Date.now;
+  Date.now = () => now() - 10 * 60 * 1000;
+  const stale = signed("POST", "/api/process", body);
+  Date.now = now;
+  const res = response();
+  assert.equal(await requireAuth(request({ headers: stale, body }), res, "write"), null);
+  assert.equal(res.statusCode, 401);
+});
+
+test("requireAuth tells missing credentials apart from wrong ones", async () => {
+  const missing = response();
+  assert.equal(await requireAuth(request(), missing), null);
+  assert.equal(missing.body.code, "missing_credentials");
+
+  const wrong = response();
+  assert.equal(await requireAuth(request({ headers: { authorization: "Bearer nope" } }), wrong), null);
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.code, "invalid_credentials");
+});
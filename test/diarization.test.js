@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignSpeakers, diarize } from "../lib/diarization.js";
+import { groupIntoTurns, renderTurns } from "../lib/transcript.js";
+
+const segments = [
+  { start: 0, end: 4, text: "Hello." },
+  { start: 4, end: 9, text: "Hi, how are you?" },
+  { start: 9.5, end: 12, text: "Fine." },
+];
+
+test("speaker ids are renamed in order of first appearance", () => {
+  const ranges = [{ start: 0, end: 4.2, speaker: "B" }, { start: 4.2, end: 9, speaker: "A" }];
+  assert.deepEqual(assignSpeakers(segments, ranges).map((segment) => segment.speaker), ["Speaker 1", "Speaker 2", "Speaker 2"]);
+});
+
+test("the none diarizer leaves the transcript without speaker labels", async () => {
+  delete process.env.DIARIZATION_PROVIDER;
+  const turns = groupIntoTurns(assignSpeakers(segments, await diarize(Buffer.alloc(0), "a.mp3", segments)));
+  assert.equal(renderTurns(turns), "[00:00:00] Hello. Hi, how are you? Fine.");
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDocRequests, writeBlocks } from "../lib/document.js";
+
+const blocks = [
+  { text: "Weekly sync", style: "TITLE" },
+  { table: [["Source file", { text: "a.mp3", url: "https://example.com/a" }], ["Duration", "00:42:10"]] },
+  { text: "Notes\n", boldPrefix: 5 },
+  { table: [["Speakers", "2"]] },
+  { text: "Done", bullet: true },
+];
+
+// A Docs client that keeps track of where tables end up. Like the Docs API, insertTable puts a
+// newline before the table, so everything from the insert index on moves by that and the table.
+function fakeDocs() {
+  const tables = [];
+  const updates = [];
+  const tableLength = (table) => 2 + table.rows * (1 + 2 * table.columns);
+  const docs = {
+    documents: {
+      async get() {
+        const content = tables.map((table) => {
+          let index = table.index + 1;
+          const tableRows = Array.from({ length: table.rows }, () => {
+            index += 1;
+            return {
+              tableCells: Array.from({ length: table.columns }, () => {
+                index += 2;
+                return { content: [{ startIndex: index - 1 }] };
+              }),
+            };
+          });
+          return { startIndex: table.index, table: { tableRows } };
+        });
+        return { data: { revisionId: `r${updates.length}`, body: { content } } };
+      },
+      async batchUpdate({ requestBody }) {
+        updates.push(requestBody.requests);
+        for (const request of requestBody.requests) {
+          if (!request.insertTable) continue;
+          const { rows, columns, location } = request.insertTable;
+          const table = { index: location.index + 1, rows, columns };
+          for (const other of tables) {
+            if (other.index >= location.index) other.index += 1 + tableLength(table);
+          }
+          tables.push(table);
+          tables.sort((a, b) => a.index - b.index);
+        }
+      },
+    },
+  };
+  return { docs, updates, tables };
+}
+
+test("buildDocRequests inserts all text at once, with an empty paragraph for every table", () => {
+  const requests = buildDocRequests(blocks);
+  assert.deepEqual(requests[0], { insertText: { location: { index: 1 }, text: "Weekly sync\n\nNotes\n\nDone\n" } });
+  assert.deepEqual(requests.slice(1), [
+    { updateParagraphStyle: { range: { startIndex: 1, endIndex: 13 }, paragraphStyle: { namedStyleType: "TITLE" }, fields: "namedStyleType" } },
+    { updateTextStyle: { range: { startIndex: 14, endIndex: 19 }, textStyle: { bold: true }, fields: "bold" } },
+    { createParagraphBullets: { range: { startIndex: 21, endIndex: 26 }, bulletPreset: "BULLET_DISC_CIRCLE_SQUARE" } },
+  ]);
+  assert.deepEqual(buildDocRequests([]), []);
+});
+
+test("writeBlocks inserts tables bottom-up at their placeholders and fills cells from the last one back", async () => {
+  const { docs, updates, tables } = fakeDocs();
+  await writeBlocks(docs, "doc1", blocks);
+
+  assert.equal(updates.length, 3);
+  // Placeholders at 13 (after "Weekly sync\n") and 20 (after "Notes\n"), the lower one first
+  assert.deepEqual(updates[1], [
+    { insertTable: { rows: 1, columns: 2, location: { index: 20 } } },
+    { insertTable: { rows: 2, columns: 2, location: { index: 13 } } },
+  ]);
+  // Each table lands behind the newline insertTable adds, the second one also behind the first table
+  assert.deepEqual(tables.map((table) => table.index), [14, 20 + 1 + 1 + (2 + 2 * 5)]);
+
+  const inserts = updates[2].filter((request) => request.insertText).map((request) => [request.insertText.location.index, request.insertText.text]);
+  assert.deepEqual(inserts, [
+    [tables[1].index + 5, "2"],
+    [tables[1].index + 3, "Speakers"],
+    [tables[0].index + 10, "00:42:10"],
+    [tables[0].index + 8, "Duration"],
+    [tables[0].index + 5, "a.mp3"],
+    [tables[0].index + 3, "Source file"],
+  ]);
+  const indexes = inserts.map(([index]) => index);
+  assert.deepEqual(indexes, [...indexes].sort((a, b) => b - a));
+
+  const link = updates[2].find((request) => request.updateTextStyle?.textStyle.link);
+  assert.deepEqual(link.updateTextStyle.range, { startIndex: tables[0].index + 5, endIndex: tables[0].index + 10 });
+});
+
+test("writeBlocks leaves an empty table as its placeholder paragraph", async () => {
+  const { docs, updates } = fakeDocs();
+  await writeBlocks(docs, "doc1", [{ text: "Title" }, { table: [] }]);
+  assert.equal(updates.length, 1);
+});
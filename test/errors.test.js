@@ -0,0 +1,82 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+// Short backoff, set before lib/errors.js reads RETRY_BASE_MS and RETRY_MAX_MS
+let StepError, isRetryable, withRetry, toStepError;
+
+before(async () => {
+  Object.assign(process.env, { RETRY_ATTEMPTS: "4", RETRY_BASE_MS: "1", RETRY_MAX_MS: "5", LOG_LEVEL: "silent" });
+  ({ StepError, isRetryable, withRetry, toStepError } = await import("../lib/errors.js"));
+});
+
+// Throws the given errors one after another, then returns "ok"
+function failing(...errors) {
+  const fn = async () => {
+    fn.calls++;
+    if (errors.length) throw errors.shift();
+    return "ok";
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } }, extra);
+}
+
+test("isRetryable accepts rate limits, server errors and dropped connections", () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(500)), true);
+  assert.equal(isRetryable(httpError(503)), true);
+  assert.equal(isRetryable(httpError(408)), true);
+  assert.equal(isRetryable(Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" })), true);
+  assert.equal(isRetryable(new TypeError("fetch failed")), true);
+  assert.equal(isRetryable(httpError(403, { errors: [{ reason: "userRateLimitExceeded" }] })), true);
+});
+
+test("isRetryable rejects other client errors and trusts an explicit flag", () => {
+  assert.equal(isRetryable(httpError(400)), false);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(httpError(403, { errors: [{ reason: "insufficientPermissions" }] })), false);
+  assert.equal(isRetryable(new Error("bad input")), false);
+  assert.equal(isRetryable(new StepError("transcribe", "Bad request", { retryable: false, upstreamStatus: 400 })), false);
+  assert.equal(isRetryable(Object.assign(httpError(500), { retryable: false })), false);
+  assert.equal(isRetryable(null), false);
+});
+
+test("toStepError keeps the status and whether to retry", () => {
+  const error = toStepError("download", httpError(429));
+  assert.ok(error instanceof StepError);
+  assert.equal(error.step, "download");
+  assert.equal(error.stepLabel, "Step 1: Downloading file");
+  assert.equal(error.retryable, true);
+  assert.equal(error.upstreamStatus, 429);
+
+  const stepError = new StepError("doc", "Failed");
+  assert.equal(toStepError("download", stepError), stepError);
+});
+
+test("withRetry retries 429, 5xx and ECONNRESET until the call goes through", async () => {
+  const fn = failing(httpError(429), httpError(502), Object.assign(new Error("socket"), { code: "ECONNRESET" }));
+  assert.equal(await withRetry(fn, "test"), "ok");
+  assert.equal(fn.calls, 4);
+});
+
+test("withRetry gives up on a 4xx StepError right away", async () => {
+  const error = new StepError("transcribe", "Bad request", { upstreamStatus: 400 });
+  const fn = failing(error);
+  await assert.rejects(withRetry(fn, "test"), (thrown) => thrown === error);
+  assert.equal(fn.calls, 1);
+});
+
+test("withRetry stops after the attempt limit and throws the last error", async () => {
+  const errors = [httpError(500), httpError(500), httpError(500), httpError(503), httpError(503)];
+  const last = errors[3];
+  const fn = failing(...errors);
+  await assert.rejects(withRetry(fn, "test"), (thrown) => thrown === last);
+  assert.equal(fn.calls, 4);
+
+  const twice = failing(httpError(500), httpError(500), httpError(500));
+  await assert.rejects(withRetry(twice, "test", { attempts: 2 }));
+  assert.equal(twice.calls, 2);
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, inflateRawSync } from "node:zlib";
+import { blocksToDocx, blocksToMarkdown, blocksToText } from "../lib/export.js";
+
+const blocks = [
+  { text: "Weekly sync\n", style: "TITLE" },
+  { table: [["Date", "19 October 2026"], ["Link", { text: "Recording", url: "https://example.com/r" }]] },
+  { text: "Summary\n", style: "HEADING_1" },
+  { text: "Ship <it> & tell", bullet: true },
+  { text: "[00:01:05] Speaker 1: Hello there.", boldPrefix: 21 },
+];
+
+// Reads a ZIP back through its central directory, checking every local header against it
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(endOffset >= 0, "end of central directory record");
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  assert.equal(offset + buffer.readUInt32LE(endOffset + 12), endOffset);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const entry = {
+      name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      time: buffer.readUInt16LE(offset + 12),
+      date: buffer.readUInt16LE(offset + 14),
+      crc: buffer.readUInt32LE(offset + 16),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    };
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    const local = entry.localOffset;
+    assert.equal(buffer.readUInt32LE(local), 0x04034b50);
+    assert.equal(buffer.readUInt16LE(local + 10), entry.time);
+    assert.equal(buffer.readUInt16LE(local + 12), entry.date);
+    assert.equal(buffer.readUInt32LE(local + 14), entry.crc);
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = inflateRawSync(buffer.subarray(dataStart, dataStart + entry.compressedSize));
+    assert.equal(data.length, entry.size);
+    assert.equal(crc32(data), entry.crc, `CRC of ${entry.name}`);
+    entries.push({ ...entry, content: data.toString("utf8") });
+  }
+  return entries;
+}
+
+test("blocksToDocx writes a ZIP that reads back with the right parts, sizes and CRCs", () => {
+  const entries = readZip(blocksToDocx(blocks));
+  assert.deepEqual(entries.map((entry) => entry.name), [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "word/document.xml",
+    "word/_rels/document.xml.rels",
+    "word/styles.xml",
+    "word/numbering.xml",
+  ]);
+  assert.ok(entries.every((entry) => entry.method === 8));
+
+  const documentXml = entries.find((entry) => entry.name === "word/document.xml").content;
+  assert.match(documentXml, /<w:pStyle w:val="Title"\/><\/w:pPr><w:r><w:t xml:space="preserve">Weekly sync<\/w:t>/);
+  assert.match(documentXml, /Ship &lt;it&gt; &amp; tell/);
+  assert.match(documentXml, /<w:r><w:rPr><w:b\/><\/w:rPr><w:t xml:space="preserve">\[00:01:05\] Speaker 1:<\/w:t><\/w:r>/);
+  assert.match(documentXml, /<w:tbl>/);
+});
+
+test("blocksToDocx stamps the entries with the current date and time", () => {
+  const before = new Date();
+  const [entry] = readZip(blocksToDocx(blocks));
+  const written = new Date(
+    (entry.date >> 9) + 1980, ((entry.date >> 5) & 0x0f) - 1, entry.date & 0x1f,
+    entry.time >> 11, (entry.time >> 5) & 0x3f, (entry.time & 0x1f) * 2
+  );
+  // DOS times have a two second resolution
+  assert.ok(Math.abs(written - before) < 5000, `${written.toISOString()} is not around ${before.toISOString()}`);
+});
+
+test("blocksToMarkdown renders headings, tables, bullets and bold prefixes", () => {
+  assert.equal(blocksToMarkdown(blocks), [
+    "# Weekly sync",
+    "",
+    "|   |   |",
+    "|---|---|",
+    "| **Date** | 19 October 2026 |",
+    "| **Link** | [Recording](https://example.com/r) |",
+    "",
+    "## Summary",
+    "",
+    "- Ship <it> & tell",
+    "**[00:01:05] Speaker 1:** Hello there.",
+    "",
+  ].join("\n"));
+});
+
+test("blocksToText underlines headings and joins table cells", () => {
+  assert.match(blocksToText(blocks), /^Weekly sync\n===========\n\nDate: 19 October 2026\nLink: Recording\n/);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGlossary, applyCorrections } from "../lib/glossary.js";
+
+test("parseGlossary reads term: variant lines and skips comments", () => {
+  assert.deepEqual(parseGlossary("\uFEFF# product names\nBecon: beacon, bee con\n\nKubernetes\n"), [
+    { term: "Becon", variants: ["beacon", "bee con"] },
+    { term: "Kubernetes", variants: [] },
+  ]);
+});
+
+test("parseGlossary reads CSV rows and skips a header row", () => {
+  assert.deepEqual(parseGlossary('Term,Variants\nBecon,"beacon, bee con",be-con\r\n', "csv"), [
+    { term: "Becon", variants: ["beacon", "bee con", "be-con"] },
+  ]);
+});
+
+test("applyCorrections replaces variants in the segments and the text", () => {
+  const glossary = { entries: parseGlossary("Becon: beacon, bee con") };
+  const { transcription, corrections } = applyCorrections({
+    text: "The bee con app. BEACON rocks.",
+    segments: [{ start: 0, end: 1, text: "The bee con app." }, { start: 1, end: 2, text: "BEACON rocks." }],
+  }, glossary);
+  assert.equal(transcription.text, "The Becon app. BECON rocks.");
+  assert.deepEqual(transcription.segments.map((segment) => segment.text), ["The Becon app.", "BECON rocks."]);
+  assert.deepEqual(corrections, [
+    { from: "bee con", to: "Becon", count: 1 },
+    { from: "BEACON", to: "BECON", count: 1 },
+  ]);
+});
+
+test("applyCorrections prefers the longest variant and respects word boundaries", () => {
+  const glossary = { entries: [{ term: "Becon Cloud", variants: ["bee con cloud"] }, { term: "Becon", variants: ["bee con"] }] };
+  const { transcription } = applyCorrections({ text: "bee con cloud and bee con, not beeconomy", segments: [] }, glossary);
+  assert.equal(transcription.text, "Becon Cloud and Becon, not beeconomy");
+});
+
+test("applyCorrections fixes the casing of a term with capitals only", () => {
+  const glossary = { entries: parseGlossary("Becon\nsprint") };
+  const { transcription } = applyCorrections({ text: "Sprint review for becon.", segments: [] }, glossary);
+  assert.equal(transcription.text, "Sprint review for Becon.");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createFileLocks, acquireLock, withLock } from "../lib/lock.js";
+
+async function withTempDir(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "locks-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("only one of several contenders started together gets the lock", () => withTempDir(async (dir) => {
+  // A store per contender, as separate processes would have
+  const results = await Promise.all(["a", "b", "c", "d"].map((owner) => acquireLock(createFileLocks(dir), "job-1", owner, 60000)));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal((await readdir(dir)).length, 1);
+}));
+
+test("an expired lock is cleared and doesn't block", () => withTempDir(async (dir) => {
+  const store = createFileLocks(dir);
+  await store.createLock("job-1", "dead", Date.now() - 1000);
+  const lock = await acquireLock(store, "job-1", "alive", 60000);
+  assert.equal(lock.owner, "alive");
+  assert.deepEqual(await readdir(dir), ["job-1.alive.lock"]);
+}));
+
+test("withLock lets read-modify-write cycles take turns", () => withTempDir(async (dir) => {
+  const counterPath = path.join(dir, "counter.json");
+  await writeFile(counterPath, "0");
+  const increment = () => withLock(createFileLocks(dir), "counter", async () => {
+    const value = Number(await readFile(counterPath, "utf8"));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await writeFile(counterPath, String(value + 1));
+  }, { ttlMs: 60000, waitMs: 30000 });
+
+  await Promise.all(Array.from({ length: 5 }, increment));
+  assert.equal(await readFile(counterPath, "utf8"), "5");
+  assert.deepEqual((await readdir(dir)).filter((name) => name.endsWith(".lock")), []);
+}));
+
+test("withLock gives up after waitMs with a retryable error", () => withTempDir(async (dir) => {
+  const store = createFileLocks(dir);
+  await store.createLock("counter", "holder", Date.now() + 60000);
+  await assert.rejects(withLock(store, "counter", async () => {}, { ttlMs: 60000, waitMs: 100 }), (error) => {
+    assert.match(error.message, /waiting for the lock on counter/);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+}));
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectFormat } from "../lib/media.js";
+
+// The given leading bytes (numbers or latin1 text), padded with zeros to a plausible header
+function header(...parts) {
+  const bytes = Buffer.concat(parts.map((part) => (typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part))));
+  return Buffer.concat([bytes, Buffer.alloc(Math.max(0, 64 - bytes.length))]);
+}
+
+const cases = [
+  ["MP3 with an ID3 tag", header("ID3", [4, 0]), "mp3"],
+  ["MP3 frame without a tag", header([0xff, 0xfb, 0x90, 0x64]), "mp3"],
+  ["AAC in ADTS frames", header([0xff, 0xf1, 0x50, 0x80]), "aac"],
+  ["WAV", header("RIFF", [0x24, 0, 0, 0], "WAVEfmt "), "wav"],
+  ["FLAC", header("fLaC", [0, 0, 0, 0x22]), "flac"],
+  ["Ogg Vorbis", header("OggS", [0, 2], Buffer.alloc(22), [1], "vorbis"), "ogg"],
+  ["Opus in Ogg", header("OggS", [0, 2], Buffer.alloc(22), "OpusHead"), "ogg-opus"],
+  ["AMR", header("#!AMR\n"), "amr"],
+  ["WMA", header([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11, 0xa6, 0xd9]), "asf"],
+  ["WebM", header([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84], "webm"), "webm"],
+  ["Matroska", header([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x88], "matroska"), "matroska"],
+  ["CAF", header("caff", [0, 1, 0, 0]), "caf"],
+  ["M4A", header([0, 0, 0, 0x20], "ftypM4A "), "m4a"],
+  ["MP4", header([0, 0, 0, 0x20], "ftypisom"), "mp4"],
+  ["QuickTime", header([0, 0, 0, 0x14], "ftypqt  "), "mov"],
+  ["3GP", header([0, 0, 0, 0x18], "ftyp3gp4"), "3gp"],
+];
+
+for (const [name, buffer, format] of cases) {
+  test(`detectFormat recognizes ${name}`, () => {
+    assert.equal(detectFormat(buffer)?.format, format);
+  });
+}
+
+test("detectFormat marks containers that may hold video", () => {
+  assert.equal(detectFormat(header([0, 0, 0, 0x20], "ftypisom")).mayContainVideo, true);
+  assert.equal(detectFormat(header([0, 0, 0, 0x20], "ftypM4A ")).mayContainVideo, undefined);
+  assert.equal(detectFormat(header("ID3")).extension, ".mp3");
+});
+
+test("detectFormat returns null for unknown or too short data", () => {
+  assert.equal(detectFormat(header("%PDF-1.7")), null);
+  assert.equal(detectFormat(Buffer.from("ID3")), null);
+  assert.equal(detectFormat(null), null);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, chmod, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Stand-ins for ffprobe (a recording of 1500 seconds) and ffmpeg (writes a dummy chunk),
+// set before lib/audio.js reads FFMPEG_PATH and FFPROBE_PATH
+let binDir;
+let transcribeAudio;
+const requests = [];
+let failOn = null;
+
+before(async () => {
+  binDir = await mkdtemp(path.join(tmpdir(), "fakebin-"));
+  await writeFile(path.join(binDir, "ffprobe"), "#!/bin/sh\necho 1500\n");
+  await writeFile(path.join(binDir, "ffmpeg"), '#!/bin/sh\nfor last; do :; done\necho chunk > "$last"\n');
+  await chmod(path.join(binDir, "ffprobe"), 0o755);
+  await chmod(path.join(binDir, "ffmpeg"), 0o755);
+  Object.assign(process.env, {
+    FFPROBE_PATH: path.join(binDir, "ffprobe"),
+    FFMPEG_PATH: path.join(binDir, "ffmpeg"),
+    TRANSCRIPTION_PROVIDER: "fake",
+    TRANSCRIPTION_CHUNK_SECONDS: "600",
+    TRANSCRIPTION_CHUNK_OVERLAP_SECONDS: "15",
+    LOG_LEVEL: "silent",
+  });
+
+  const { registerTranscriptionProvider } = await import("../lib/transcription.js");
+  registerTranscriptionProvider("fake", () => ({
+    name: "fake",
+    model: "fake-model",
+    translationModel: "fake-model",
+    maxUploadBytes: 10,
+    async transcribe(audioBuffer, fileName) {
+      requests.push(fileName);
+      if (fileName === failOn) throw Object.assign(new Error("worker stopped"), { retryable: false });
+      return { text: fileName, segments: [{ start: 10, end: 15, text: fileName }], duration: 600 };
+    },
+  }));
+  ({ transcribeAudio } = await import("../lib/pipeline.js"));
+});
+
+after(() => rm(binDir, { recursive: true, force: true }));
+
+test("a chunked transcription that stops halfway resumes with the first chunk not done", async () => {
+  let saved = [];
+  const progress = () => ({ chunks: saved, async save(chunks) { saved = [...chunks]; } });
+
+  failOn = "rec.part2.mp3";
+  const firstRun = [];
+  await assert.rejects(transcribeAudio(Buffer.alloc(100), "rec.mp3", { progress: progress(), usage: firstRun }), /worker stopped/);
+  assert.deepEqual(saved.map((chunk) => [chunk.start, chunk.end]), [[0, 600]]);
+  assert.deepEqual(firstRun, [{ model: "fake-model", seconds: 600 }]);
+
+  failOn = null;
+  requests.length = 0;
+  const secondRun = [];
+  const result = await transcribeAudio(Buffer.alloc(100), "rec.mp3", { progress: progress(), usage: secondRun });
+  assert.deepEqual(requests, ["rec.part2.mp3", "rec.part3.mp3"]);
+  assert.deepEqual(secondRun.map((entry) => entry.seconds), [600, 330]);
+  assert.deepEqual(result.segments.map((segment) => [segment.start, segment.text]), [
+    [10, "rec.part1.mp3"],
+    [595, "rec.part2.mp3"],
+    [1180, "rec.part3.mp3"],
+  ]);
+});
+
+test("chunks from a different chunk plan are not reused", async () => {
+  requests.length = 0;
+  failOn = null;
+  const stale = [{ start: 0, end: 300, text: "old", segments: [{ start: 0, end: 5, text: "old" }] }];
+  await transcribeAudio(Buffer.alloc(100), "rec.mp3", { progress: { chunks: stale, async save() {} } });
+  assert.equal(requests.length, 3);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRules, redactText } from "../lib/redaction.js";
+
+delete process.env.REDACTION_CATEGORIES;
+delete process.env.REDACTION_NAMES;
+delete process.env.REDACTION_RULES;
+
+function redact(text, pipeline = {}) {
+  const counts = new Map();
+  return { text: redactText(text, buildRules(pipeline), counts), counts: Object.fromEntries(counts) };
+}
+
+test("IBANs are masked only when the mod-97 checksum is right", () => {
+  assert.equal(redact("Pay to NL91 ABNA 0417 1643 00 please").text, "Pay to [IBAN] please");
+  assert.equal(redact("Pay to NL91ABNA0417164300.").text, "Pay to [IBAN].");
+  assert.equal(redact("Pay to NL92ABNA0417164300").text, "Pay to NL92ABNA0417164300");
+});
+
+test("an IBAN followed by a word is still found", () => {
+  assert.equal(redact("NL91ABNA0417164300 en de rest").text, "[IBAN] en de rest");
+});
+
+test("BSNs are masked only when they pass the elfproef", () => {
+  assert.equal(redact("BSN 123456782.").text, "BSN [BSN].");
+  assert.equal(redact("BSN 1234.56.782").text, "BSN [BSN]");
+  assert.equal(redact("Order 123456789").text, "Order 123456789");
+  assert.equal(redact("Code 000000000").text, "Code 000000000");
+});
+
+test("emails, phone numbers and postcodes are masked and counted", () => {
+  const result = redact("Mail jan@example.com or call 06-12345678 / +31 20 123 4567, 1234 AB Amsterdam");
+  assert.equal(result.text, "Mail [EMAIL] or call [PHONE] / [PHONE], [POSTCODE] Amsterdam");
+  assert.deepEqual(result.counts, { email: 1, phone: 2, postcode: 1 });
+});
+
+test("configured names are masked as whole words, ignoring case", () => {
+  const result = redact("Jan de Vries and jan de  vries met Janneke", { redactionNames: ["Jan de Vries"] });
+  assert.equal(result.text, "[NAME] and [NAME] met Janneke");
+});
+
+test("REDACTION_RULES adds regex rules, REDACTION_CATEGORIES limits the built-in ones", () => {
+  process.env.REDACTION_RULES = '[{"category":"customer_id","pattern":"CUST-\\\\d{6}","flags":"i"}]';
+  process.env.REDACTION_CATEGORIES = "email";
+  try {
+    const result = redact("cust-123456 mailed jan@example.com from 1234 AB");
+    assert.equal(result.text, "[CUSTOMER_ID] mailed [EMAIL] from 1234 AB");
+  } finally {
+    delete process.env.REDACTION_RULES;
+    delete process.env.REDACTION_CATEGORIES;
+  }
+});
+
+test("invalid REDACTION_RULES are reported", () => {
+  process.env.REDACTION_RULES = '[{"category":"x","pattern":"("}]';
+  try {
+    assert.throws(() => buildRules({}), /REDACTION_RULES\[0\] has an invalid pattern/);
+  } finally {
+    delete process.env.REDACTION_RULES;
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { sendMail } from "../lib/smtp.js";
+
+// A plain text SMTP server without STARTTLS that accepts everything; `commands` collects what it got
+function startServer() {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = "";
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 queued\r\n");
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO") socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if (verb === "AUTH") socket.write("235 ok\r\n");
+        else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, commands })));
+}
+
+const mail = { to: ["me@example.com"], subject: "Test", text: "Hello", from: "bot@example.com" };
+
+function configFor(server, extra) {
+  return { host: "127.0.0.1", port: server.address().port, secure: false, user: null, pass: null, from: "bot@example.com", ...extra };
+}
+
+test("sends a mail without login over a plain connection", async () => {
+  const { server, commands } = await startServer();
+  try {
+    await sendMail(mail, configFor(server));
+    assert.deepEqual(commands.map((line) => line.split(/[ :]/)[0]), ["EHLO", "MAIL", "RCPT", "DATA", "QUIT"]);
+  } finally {
+    server.close();
+  }
+});
+
+test("refuses to send a login over a connection without TLS", async () => {
+  const { server, commands } = await startServer();
+  try {
+    await assert.rejects(sendMail(mail, configFor(server, { user: "user", pass: "secret" })), /offers no STARTTLS/);
+    assert.ok(!commands.some((line) => line.startsWith("AUTH")));
+  } finally {
+    server.close();
+  }
+});
+
+test("sends the login in the clear only when allowed", async () => {
+  const { server, commands } = await startServer();
+  try {
+    await sendMail(mail, configFor(server, { user: "user", pass: "secret", allowInsecureAuth: true }));
+    assert.ok(commands.some((line) => line.startsWith("AUTH PLAIN ")));
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toSrt, toVtt } from "../lib/subtitles.js";
+
+const segments = [
+  { start: 0, end: 2.5, text: " Good morning." },
+  { start: 3725.4, end: 3727.0004, text: "An hour later." },
+  { start: 3728, end: 3729, text: "   " },
+];
+
+test("toSrt numbers cues and uses a comma before the milliseconds", () => {
+  assert.equal(
+    toSrt(segments),
+    "1\n00:00:00,000 --> 00:00:02,500\nGood morning.\n\n" +
+    "2\n01:02:05,400 --> 01:02:07,000\nAn hour later.\n"
+  );
+});
+
+test("toVtt starts with the header and uses a dot before the milliseconds", () => {
+  assert.equal(
+    toVtt(segments),
+    "WEBVTT\n\n" +
+    "00:00:00.000 --> 00:00:02.500\nGood morning.\n\n" +
+    "01:02:05.400 --> 01:02:07.000\nAn hour later.\n"
+  );
+});
+
+test("cue times never go below zero", () => {
+  assert.match(toSrt([{ start: -0.2, end: 1, text: "Hi" }]), /^1\n00:00:00,000 --> 00:00:01,000\n/);
+});
+
+test("long cue text is wrapped at 42 characters", () => {
+  const text = "This sentence is long enough that it has to be wrapped onto a second line";
+  const lines = toVtt([{ start: 0, end: 5, text }]).split("\n").slice(3, -1);
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every((line) => line.length <= 42));
+  assert.equal(lines.join(" "), text);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSegmentRequests } from "../lib/template.js";
+
+// Docs body content for the given paragraphs, indexed the way the Docs API does: a section break
+// first, then each paragraph with its own newline
+function body(paragraphs) {
+  const content = [{ endIndex: 1, sectionBreak: {} }];
+  let index = 1;
+  for (const paragraph of paragraphs) {
+    const { text, bold, style } = typeof paragraph === "string" ? { text: paragraph } : paragraph;
+    const line = `${text}\n`;
+    content.push({
+      startIndex: index,
+      endIndex: index + line.length,
+      paragraph: {
+        elements: [{ startIndex: index, endIndex: index + line.length, textRun: { content: line, textStyle: bold ? { bold: true } : {} } }],
+        paragraphStyle: style || { namedStyleType: "NORMAL_TEXT" },
+      },
+    });
+    index += line.length;
+  }
+  return content;
+}
+
+// Body text after the deletes and inserts, section break left out
+function apply(content, requests) {
+  let text = content.slice(1).map((element) => element.paragraph.elements[0].textRun.content).join("");
+  for (const request of requests) {
+    if (request.deleteContentRange) {
+      const { startIndex, endIndex } = request.deleteContentRange.range;
+      text = text.slice(0, startIndex - 1) + text.slice(endIndex - 1);
+    } else if (request.insertText) {
+      const { location, text: inserted } = request.insertText;
+      text = text.slice(0, location.index - 1) + inserted + text.slice(location.index - 1);
+    }
+  }
+  return text;
+}
+
+const items = [
+  { speaker: "A", text: "Hello." },
+  { speaker: "B", text: "Hi." },
+];
+
+test("buildSegmentRequests repeats a block in the middle of the body for each segment", () => {
+  const content = body(["Title", "{{#segments}}", { text: "{{speaker}}: {{text}}", bold: true }, "{{/segments}}", "Footer"]);
+  const requests = buildSegmentRequests(content, items);
+
+  assert.deepEqual(requests[0], { deleteContentRange: { range: { startIndex: 7, endIndex: 57 } } });
+  assert.equal(apply(content, requests), "Title\nA: Hello.\nB: Hi.\nFooter\n");
+  const textStyles = requests.filter((request) => request.updateTextStyle).map((request) => request.updateTextStyle.range);
+  assert.deepEqual(textStyles, [{ startIndex: 7, endIndex: 17 }, { startIndex: 17, endIndex: 24 }]);
+  const paragraphStyles = requests.filter((request) => request.updateParagraphStyle).map((request) => request.updateParagraphStyle.range);
+  assert.deepEqual(paragraphStyles, [{ startIndex: 7, endIndex: 17 }, { startIndex: 17, endIndex: 24 }]);
+});
+
+test("buildSegmentRequests keeps the body's last newline when the block ends the template", () => {
+  const content = body(["Title", "{{#segments}}", "{{speaker}}: {{text}}", "{{/segments}}"]);
+  const requests = buildSegmentRequests(content, items);
+
+  assert.deepEqual(requests[0], { deleteContentRange: { range: { startIndex: 7, endIndex: 56 } } });
+  assert.equal(apply(content, requests), "Title\nA: Hello.\nB: Hi.\n");
+  for (const request of requests.filter((request) => request.updateTextStyle || request.updateParagraphStyle)) {
+    const range = (request.updateTextStyle || request.updateParagraphStyle).range;
+    assert.ok(range.endIndex <= 23, `style range ${JSON.stringify(range)} reaches past the inserted text`);
+    assert.ok(range.endIndex > range.startIndex);
+  }
+});
+
+test("buildSegmentRequests removes the block for an empty segment list", () => {
+  const content = body(["Title", "{{#segments}}", "{{speaker}}: {{text}}", "{{/segments}}", "Footer"]);
+  const requests = buildSegmentRequests(content, []);
+
+  assert.deepEqual(requests, [{ deleteContentRange: { range: { startIndex: 7, endIndex: 57 } } }]);
+  assert.equal(apply(content, requests), "Title\nFooter\n");
+});
+
+test("buildSegmentRequests leaves no empty paragraph for an empty segment list at the end", () => {
+  const content = body([{ text: "Title", style: { namedStyleType: "HEADING_1" } }, "{{#segments}}", "{{speaker}}: {{text}}", "{{/segments}}"]);
+  const requests = buildSegmentRequests(content, []);
+
+  assert.equal(apply(content, requests), "Title\n");
+  assert.deepEqual(requests[1], {
+    updateParagraphStyle: { range: { startIndex: 1, endIndex: 7 }, paragraphStyle: { namedStyleType: "HEADING_1" }, fields: "namedStyleType" },
+  });
+});
+
+test("buildSegmentRequests leaves templates without a block alone and rejects an unclosed one", () => {
+  assert.deepEqual(buildSegmentRequests(body(["Title", "{{transcript}}"]), items), []);
+  assert.throws(() => buildSegmentRequests(body(["{{#segments}}", "{{text}}"]), items), /without a matching/);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planChunks, stitchChunks } from "../lib/transcript.js";
+
+test("planChunks overlaps consecutive windows", () => {
+  assert.deepEqual(planChunks(1300, 600, 15), [
+    { index: 0, start: 0, end: 600 },
+    { index: 1, start: 585, end: 1185 },
+    { index: 2, start: 1170, end: 1300 },
+  ]);
+});
+
+test("planChunks keeps a short recording in one chunk", () => {
+  assert.deepEqual(planChunks(42, 600, 15), [{ index: 0, start: 0, end: 42 }]);
+});
+
+test("planChunks rejects an overlap as long as the chunk", () => {
+  assert.throws(() => planChunks(1000, 60, 60), /overlap must be shorter/);
+});
+
+test("stitchChunks shifts segments onto the recording's timeline", () => {
+  const result = stitchChunks([
+    { start: 0, end: 600, segments: [{ start: 0, end: 5, text: " Hello there." }] },
+    { start: 585, end: 900, segments: [{ start: 20, end: 25, text: "Second part." }], language: "en" },
+  ]);
+  assert.deepEqual(result.segments.map(({ id, start, end, text }) => ({ id, start, end, text })), [
+    { id: 0, start: 0, end: 5, text: "Hello there." },
+    { id: 1, start: 605, end: 610, text: "Second part." },
+  ]);
+  assert.equal(result.text, "Hello there. Second part.");
+  assert.equal(result.duration, 900);
+  assert.equal(result.language, "en");
+});
+
+test("stitchChunks takes each side of the overlap from one chunk only", () => {
+  // Overlap 585-600, cut at 592.5
+  const result = stitchChunks([
+    { start: 0, end: 600, segments: [
+      { start: 580, end: 590, text: "before the cut" },
+      { start: 594, end: 599, text: "late in the first chunk" },
+    ] },
+    { start: 585, end: 1000, segments: [
+      { start: 0, end: 5, text: "early in the second chunk" },
+      { start: 9, end: 14, text: "after the cut" },
+    ] },
+  ]);
+  assert.deepEqual(result.segments.map((segment) => segment.text), ["before the cut", "after the cut"]);
+});
+
+test("stitchChunks removes words repeated on both sides of the cut", () => {
+  const result = stitchChunks([
+    { start: 0, end: 600, segments: [{ start: 585, end: 592, text: "we will ship it on Monday," }] },
+    { start: 585, end: 900, segments: [{ start: 8, end: 12, text: "On Monday, and then review." }] },
+  ]);
+  assert.deepEqual(result.segments.map((segment) => segment.text), ["we will ship it on Monday,", "and then review."]);
+});
+
+test("stitchChunks drops a segment that only repeats the previous one", () => {
+  const result = stitchChunks([
+    { start: 0, end: 600, segments: [{ start: 585, end: 592, text: "Thank you all." }] },
+    { start: 585, end: 900, segments: [
+      { start: 8, end: 9, text: "thank you all" },
+      { start: 10, end: 12, text: "Bye." },
+    ] },
+  ]);
+  assert.deepEqual(result.segments.map((segment) => [segment.id, segment.text]), [[0, "Thank you all."], [1, "Bye."]]);
+});